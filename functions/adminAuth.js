@@ -0,0 +1,178 @@
+const crypto = require("crypto");
+const {getAuth} = require("firebase-admin/auth");
+
+// Signed requests older (or further in the future) than this are rejected
+const SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+
+/**
+ * Error raised when a request may not call an admin endpoint. `status` is
+ * 401 when the caller could not be identified and 403 when they are not an
+ * admin.
+ */
+class AdminAuthError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} message
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = "AdminAuthError";
+    this.status = status;
+  }
+}
+
+/**
+ * Compares two strings without leaking where they differ through timing
+ * @param {string} a
+ * @param {string} b
+ * @return {boolean}
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Sorts the `&`-separated parameters of a raw query string, so a signature
+ * does not depend on the order the client sent them in
+ * @param {string} url - Request URL, as in `req.originalUrl`
+ * @return {string}
+ */
+function canonicalQuery(url) {
+  const queryStart = String(url || "").indexOf("?");
+  if (queryStart === -1) {
+    return "";
+  }
+
+  return String(url).slice(queryStart + 1)
+      .split("&")
+      .filter(Boolean)
+      .sort()
+      .join("&");
+}
+
+/**
+ * Signature expected in `X-Admin-Signature`: hex HMAC-SHA256 of
+ * "<timestamp>.<method>.<action>.<sorted query>.<hex SHA-256 of body>"
+ * keyed with the shared secret. Covering the parameters and body keeps a
+ * captured signature from being replayed with different options.
+ * @param {string} secret
+ * @param {string} timestamp - Milliseconds since the epoch
+ * @param {string} action - Name of the endpoint being called
+ * @param {{method: string, query: string, body: (Buffer|string)}} request -
+ *   HTTP method, query string as from canonicalQuery and raw body
+ * @return {string}
+ */
+function signAdminRequest(secret, timestamp, action, request) {
+  const bodyHash = crypto
+      .createHash("sha256")
+      .update(request.body || "")
+      .digest("hex");
+  return crypto
+      .createHmac("sha256", secret)
+      .update([
+        timestamp,
+        String(request.method).toUpperCase(),
+        action,
+        request.query,
+        bodyHash,
+      ].join("."))
+      .digest("hex");
+}
+
+/**
+ * Verifies a Firebase Auth ID token carrying the `admin` custom claim
+ * @param {string} idToken
+ * @return {Promise<{method: string, uid: string, email: (string|null)}>}
+ */
+async function verifyIdTokenActor(idToken) {
+  let decoded;
+  try {
+    decoded = await getAuth().verifyIdToken(idToken);
+  } catch (err) {
+    throw new AdminAuthError(401, "Invalid or expired ID token");
+  }
+
+  if (decoded.admin !== true) {
+    throw new AdminAuthError(403, "Admin privileges required");
+  }
+
+  return {
+    method: "idToken",
+    uid: decoded.uid,
+    email: decoded.email || null,
+  };
+}
+
+/**
+ * Verifies a shared-secret signature for the given action and request
+ * @param {Object} req - Express request
+ * @param {string} timestamp
+ * @param {string} signature
+ * @param {string} action
+ * @param {string} secret
+ * @return {{method: string, uid: null, email: null}}
+ */
+function verifySignatureActor(req, timestamp, signature, action, secret) {
+  if (!secret) {
+    throw new AdminAuthError(401, "Signed requests are not configured");
+  }
+
+  const age = Math.abs(Date.now() - Number(timestamp));
+  if (!Number.isFinite(age) || age > SIGNATURE_MAX_AGE_MS) {
+    throw new AdminAuthError(401, "Signature timestamp is missing or stale");
+  }
+
+  const expected = signAdminRequest(secret, timestamp, action, {
+    method: req.method,
+    query: canonicalQuery(req.originalUrl),
+    body: req.rawBody,
+  });
+  if (!safeEqual(signature, expected)) {
+    // The caller proved nothing about who they are, so this is a 401
+    throw new AdminAuthError(401, "Invalid signature");
+  }
+
+  return {method: "signature", uid: null, email: null};
+}
+
+/**
+ * Identifies the caller of an admin endpoint. Accepts either
+ * `Authorization: Bearer <Firebase ID token>` for a user with the `admin`
+ * custom claim, or `X-Admin-Timestamp` + `X-Admin-Signature` signed with
+ * the shared secret (for scripts and schedulers).
+ * @param {Object} req - Express request
+ * @param {string} action - Name of the endpoint being called
+ * @param {string} secret - Shared secret for signed requests
+ * @return {Promise<{method: string, uid: (string|null),
+ *   email: (string|null)}>} The authorized actor
+ * @throws {AdminAuthError}
+ */
+async function authorizeAdminRequest(req, action, secret) {
+  const authorization = req.get("Authorization") || "";
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  if (match) {
+    return verifyIdTokenActor(match[1].trim());
+  }
+
+  const signature = req.get("X-Admin-Signature");
+  if (signature) {
+    return verifySignatureActor(
+        req,
+        req.get("X-Admin-Timestamp"),
+        signature,
+        action,
+        secret,
+    );
+  }
+
+  throw new AdminAuthError(401, "Authentication required");
+}
+
+module.exports = {
+  AdminAuthError,
+  authorizeAdminRequest,
+  signAdminRequest,
+};
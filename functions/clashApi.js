@@ -0,0 +1,328 @@
+const fetch = require("node-fetch");
+
+const API_BASE_URL = "https://api.clashroyale.com/v1";
+
+const DEFAULT_OPTIONS = {
+  requestsPerSecond: 20,
+  burst: 20,
+  maxConcurrent: 10,
+  maxRetries: 4,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+  timeoutMs: 10000,
+};
+
+// Budget for requests a user is waiting on (e.g. getPlayer): one quick retry
+// instead of the minutes of backoff a batch job can afford
+const INTERACTIVE_REQUEST_OPTIONS = {
+  maxRetries: 1,
+  maxDelayMs: 1000,
+  timeoutMs: 5000,
+};
+
+/**
+ * Error raised for any failed Clash API request. `code` is one of
+ * NOT_FOUND, UNAUTHORIZED, RATE_LIMITED, BAD_REQUEST, SERVER_ERROR,
+ * TIMEOUT, NETWORK_ERROR or INVALID_RESPONSE.
+ */
+class ClashApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {{code: string, status: (number|null), path: string,
+   *   body: (string|null), attempts: number}} details
+   */
+  constructor(message, details) {
+    super(message);
+    this.name = "ClashApiError";
+    this.code = details.code;
+    this.status = details.status;
+    this.path = details.path;
+    this.body = details.body;
+    this.attempts = details.attempts;
+  }
+
+  /**
+   * Whether retrying the same request may succeed
+   * @return {boolean}
+   */
+  get retryable() {
+    return ["RATE_LIMITED", "SERVER_ERROR", "TIMEOUT", "NETWORK_ERROR"]
+        .includes(this.code);
+  }
+}
+
+/**
+ * Maps an HTTP status to a ClashApiError code
+ * @param {number} status
+ * @return {string}
+ */
+function codeForStatus(status) {
+  if (status === 404) return "NOT_FOUND";
+  if (status === 401 || status === 403) return "UNAUTHORIZED";
+  if (status === 429) return "RATE_LIMITED";
+  if (status >= 500) return "SERVER_ERROR";
+  return "BAD_REQUEST";
+}
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date) into milliseconds
+ * @param {string|null} value
+ * @return {number|null}
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+/**
+ * @param {number} ms
+ * @return {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Token bucket that also caps the number of requests in flight.
+ * `acquire` resolves once a token and a concurrency slot are available;
+ * callers must call the returned release function when done.
+ */
+class RateLimiter {
+  /**
+   * @param {{requestsPerSecond: number, burst: number,
+   *   maxConcurrent: number}} options
+   */
+  constructor({requestsPerSecond, burst, maxConcurrent}) {
+    this.refillPerMs = requestsPerSecond / 1000;
+    this.capacity = burst;
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+    this.maxConcurrent = maxConcurrent;
+    this.active = 0;
+    this.waiters = [];
+    this.timer = null;
+  }
+
+  /**
+   * @return {Promise<function(): void>} Release function
+   */
+  acquire() {
+    return new Promise((resolve) => {
+      this.waiters.push(resolve);
+      this.drain();
+    });
+  }
+
+  /**
+   * Hands out tokens to waiters in FIFO order
+   */
+  drain() {
+    const now = Date.now();
+    this.tokens = Math.min(
+        this.capacity,
+        this.tokens + (now - this.lastRefill) * this.refillPerMs,
+    );
+    this.lastRefill = now;
+
+    while (
+      this.waiters.length &&
+      this.tokens >= 1 &&
+      this.active < this.maxConcurrent
+    ) {
+      this.tokens -= 1;
+      this.active += 1;
+      const resolve = this.waiters.shift();
+      let released = false;
+      resolve(() => {
+        if (released) return;
+        released = true;
+        this.active -= 1;
+        this.drain();
+      });
+    }
+
+    // Wake up again when the next token is due; releases drain on their own
+    if (
+      this.waiters.length &&
+      this.active < this.maxConcurrent &&
+      !this.timer
+    ) {
+      const waitMs = Math.ceil((1 - this.tokens) / this.refillPerMs);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, Math.max(1, waitMs));
+    }
+  }
+}
+
+/**
+ * Normalizes a player tag to "#TAG" form
+ * @param {string} tag
+ * @return {string}
+ */
+function normalizeTag(tag) {
+  const trimmed = String(tag || "").trim().toUpperCase();
+  return trimmed.startsWith("#") ? trimmed : `#${trimmed}`;
+}
+
+/**
+ * Creates a Clash Royale API client with rate limiting, per-request
+ * timeouts, and exponential backoff with jitter on 429/5xx responses
+ * (honoring Retry-After), timeouts and network errors.
+ * @param {Object} options
+ * @param {string} options.apiKey
+ * @param {number} [options.requestsPerSecond] - Token refill rate
+ * @param {number} [options.burst] - Token bucket capacity
+ * @param {number} [options.maxConcurrent] - Max requests in flight
+ * @param {number} [options.maxRetries] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs] - Backoff base delay
+ * @param {number} [options.maxDelayMs] - Backoff (and Retry-After) cap
+ * @param {number} [options.timeoutMs] - Per-attempt timeout
+ * @return {Object} Client
+ */
+function createClashApiClient(options) {
+  const config = {...DEFAULT_OPTIONS, ...options};
+  if (!config.apiKey) {
+    throw new Error("createClashApiClient requires an apiKey");
+  }
+
+  const limiter = new RateLimiter(config);
+
+  /**
+   * Performs a single attempt, converting failures into ClashApiError
+   * @param {string} path
+   * @param {number} attempt
+   * @param {number} timeoutMs
+   * @return {Promise<Object>}
+   */
+  async function attemptRequest(path, attempt, timeoutMs) {
+    const release = await limiter.acquire();
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      let response;
+      try {
+        response = await fetch(`${API_BASE_URL}${path}`, {
+          headers: {
+            Authorization: `Bearer ${config.apiKey}`,
+            Accept: "application/json",
+          },
+          signal: controller.signal,
+        });
+      } catch (err) {
+        const timedOut = err && err.name === "AbortError";
+        throw new ClashApiError(
+            timedOut ?
+              `Clash API request timed out after ${timeoutMs}ms` :
+              `Clash API request failed: ${err.message}`,
+            {
+              code: timedOut ? "TIMEOUT" : "NETWORK_ERROR",
+              status: null,
+              path,
+              body: null,
+              attempts: attempt + 1,
+            },
+        );
+      }
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => null);
+        const error = new ClashApiError(
+            `Clash API error: ${response.status} - ${body}`,
+            {
+              code: codeForStatus(response.status),
+              status: response.status,
+              path,
+              body,
+              attempts: attempt + 1,
+            },
+        );
+        error.retryAfterMs = parseRetryAfter(
+            response.headers.get("retry-after"),
+        );
+        throw error;
+      }
+
+      try {
+        return await response.json();
+      } catch (err) {
+        throw new ClashApiError("Clash API returned invalid JSON", {
+          code: "INVALID_RESPONSE",
+          status: response.status,
+          path,
+          body: null,
+          attempts: attempt + 1,
+        });
+      }
+    } finally {
+      clearTimeout(timeout);
+      release();
+    }
+  }
+
+  /**
+   * GETs an API path, retrying retryable failures
+   * @param {string} path - Path below /v1, including any query string
+   * @param {Object} [overrides] - maxRetries, baseDelayMs, maxDelayMs or
+   *   timeoutMs for this request only (e.g. INTERACTIVE_REQUEST_OPTIONS)
+   * @return {Promise<Object>} Parsed JSON body
+   */
+  async function request(path, overrides = {}) {
+    const budget = {...config, ...overrides};
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await attemptRequest(path, attempt, budget.timeoutMs);
+      } catch (err) {
+        if (!err.retryable || attempt >= budget.maxRetries) {
+          throw err;
+        }
+
+        // Full jitter keeps concurrent retries from stampeding together
+        const backoff = Math.min(
+            budget.maxDelayMs,
+            budget.baseDelayMs * Math.pow(2, attempt),
+        );
+        const delay = typeof err.retryAfterMs === "number" ?
+          Math.min(budget.maxDelayMs, err.retryAfterMs) :
+          Math.random() * backoff;
+
+        console.warn(
+            `Retrying ${path} after ${err.code} ` +
+            `(attempt ${attempt + 1}, waiting ${Math.round(delay)}ms)`,
+        );
+        await sleep(delay);
+      }
+    }
+  }
+
+  return {
+    request,
+    getPlayer: (tag, overrides) =>
+      request(`/players/${encodeURIComponent(normalizeTag(tag))}`, overrides),
+    getBattleLog: (tag) =>
+      request(`/players/${encodeURIComponent(normalizeTag(tag))}/battlelog`),
+    getCards: () => request("/cards"),
+    getLocation: (locationId) =>
+      request(`/locations/${encodeURIComponent(locationId)}`),
+    getPathOfLegendPlayers: (locationId, limit = 1000) =>
+      request(
+          `/locations/${encodeURIComponent(locationId)}` +
+          `/pathoflegend/players?limit=${limit}`,
+      ),
+  };
+}
+
+module.exports = {
+  INTERACTIVE_REQUEST_OPTIONS,
+  ClashApiError,
+  createClashApiClient,
+};
@@ -1,55 +1,483 @@
 const {onRequest} = require("firebase-functions/v2/https");
 const {onSchedule} = require("firebase-functions/v2/scheduler");
-const {defineSecret} = require("firebase-functions/params");
+const {
+  defineSecret,
+  defineList,
+  defineInt,
+} = require("firebase-functions/params");
 const admin = require("firebase-admin");
-const {getFirestore, FieldValue} = require("firebase-admin/firestore");
-const fetch = require("node-fetch");
+const crypto = require("crypto");
+const {getFirestore, FieldPath, FieldValue} =
+  require("firebase-admin/firestore");
+const {
+  ClashApiError,
+  INTERACTIVE_REQUEST_OPTIONS,
+  createClashApiClient,
+} = require("./clashApi");
+const {AdminAuthError, authorizeAdminRequest} = require("./adminAuth");
 
 // Secret configured via: firebase functions:secrets:set CLASH_API_KEY
 const clashApiKey = defineSecret("CLASH_API_KEY");
+// Shared secret for signed admin requests from scripts and schedulers:
+// firebase functions:secrets:set ADMIN_REFRESH_SECRET
+const adminRefreshSecret = defineSecret("ADMIN_REFRESH_SECRET");
+
+// Clash API location ids whose leaderboards are tracked, set in
+// functions/.env (e.g. LEADERBOARD_LOCATIONS=57000249,57000094).
+// Global is always tracked since it provides the top-level player rank.
+const GLOBAL_LOCATION_ID = "57000249";
+const leaderboardLocations = defineList("LEADERBOARD_LOCATIONS", {
+  default: [GLOBAL_LOCATION_ID],
+  description: "Clash API location ids of the leaderboards to track",
+});
+
+// How long getPlayer serves a cached profile before asking the Clash API
+// again, set in functions/.env (e.g. PLAYER_CACHE_TTL_SECONDS=600)
+const playerCacheTtlSeconds = defineInt("PLAYER_CACHE_TTL_SECONDS", {
+  default: 300,
+  description: "Seconds a cached player profile is served as fresh",
+});
 
 admin.initializeApp();
 const db = getFirestore();
 
+let clashApiClient = null;
+
 /**
- * Fetches top players from Path of Legends leaderboard and stores basic info
- * @return {Promise<{success: boolean, totalPlayers: number, source: string}>}
+ * Returns the instance-wide Clash API client, so every job and request on
+ * this instance shares one rate limiter. The secret is only readable at
+ * runtime, hence the lazy creation.
+ * @return {Object}
  */
-async function refreshTopPlayersLeaderboard() {
-  const apiKey = clashApiKey.value();
-  const leaderboardUrl = "https://api.clashroyale.com/v1/locations/57000249/pathoflegend/players?limit=1000";
+function getClashApiClient() {
+  if (!clashApiClient) {
+    clashApiClient = createClashApiClient({apiKey: clashApiKey.value()});
+  }
+  return clashApiClient;
+}
 
-  // Fetch leaderboard to get player tags and basic info
-  const leaderboardResponse = await fetch(
-      leaderboardUrl,
-      {
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-        },
-      },
+// Admin endpoints accept Firebase ID tokens and signed requests
+const ADMIN_ALLOWED_HEADERS =
+  "Content-Type, Authorization, X-Admin-Timestamp, X-Admin-Signature";
+
+/**
+ * Authorizes a call to an admin endpoint and records the attempt, allowed
+ * or not, in `adminAuditLog`. Denied requests get their 401/403 response
+ * here, so callers just return when no actor comes back.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} action - Name of the endpoint being called
+ * @return {Promise<Object|null>} The authorized actor, or null if denied
+ */
+async function requireAdmin(req, res, action) {
+  let actor = null;
+  let denial = null;
+  try {
+    actor = await authorizeAdminRequest(
+        req,
+        action,
+        adminRefreshSecret.value(),
+    );
+  } catch (err) {
+    if (!(err instanceof AdminAuthError)) throw err;
+    denial = err;
+  }
+
+  const entry = {
+    action,
+    allowed: !denial,
+    status: denial ? denial.status : null,
+    reason: denial ? denial.message : null,
+    actor,
+    ip: req.ip || null,
+    userAgent: req.get("User-Agent") || null,
+    params: {...req.query},
+    at: FieldValue.serverTimestamp(),
+  };
+  console.log(`Admin ${action} ${denial ? "denied" : "allowed"}`, {
+    actor,
+    reason: entry.reason,
+    ip: entry.ip,
+  });
+  await db.collection("adminAuditLog").add(entry).catch((err) => {
+    console.error(`Failed to write audit log entry for ${action}`, err);
+  });
+
+  if (denial) {
+    res.status(denial.status).json({success: false, error: denial.message});
+    return null;
+  }
+  return actor;
+}
+
+// Cached profiles are kept well past their TTL so they can still be served
+// as stale data during API outages; a TTL policy on `expireAt` drops them.
+const PLAYER_CACHE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Battle markers only need to outlive the battle log window (~25 battles),
+// so they are given an expiry for a Firestore TTL policy on `expireAt`.
+const BATTLE_MARKER_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Battle types that count towards deck win rates: ladder and Path of
+// Legends. Friendlies, challenges, tournaments and event modes are left out.
+const COMPETITIVE_BATTLE_TYPES = new Set(["PvP", "pathOfLegend"]);
+
+// The first two deck slots play their card as an evolution when the player
+// has unlocked it, so the same 8 cards can be two different decks.
+const EVOLUTION_SLOT_COUNT = 2;
+
+// Deck key format version. Keys are prefixed with it, so `deckStats` docs
+// written under an older format (plain sorted ids, no evolution marker) are
+// never read as, or merged into, a deck with a different meaning.
+const DECK_KEY_VERSION = "v2";
+
+/**
+ * Builds a canonical, order-independent key for an 8-card deck.
+ * Card ids are sorted ascending; a card sitting in an evolution slot with an
+ * unlocked evolution is suffixed with "e", and the key is prefixed with
+ * DECK_KEY_VERSION (e.g. "v2:26000000e-26000001-...").
+ * @param {Array<{id: number, evolutionLevel: number}>} cards - Deck cards in
+ *   slot order
+ * @return {string|null}
+ */
+function buildDeckKey(cards) {
+  if (!Array.isArray(cards) || cards.length !== 8) {
+    return null;
+  }
+
+  const parts = [];
+  for (let slot = 0; slot < cards.length; slot++) {
+    const card = cards[slot];
+    const id = Number(card && card.id);
+    if (!Number.isInteger(id)) {
+      return null;
+    }
+
+    const isEvolved = slot < EVOLUTION_SLOT_COUNT &&
+      Number(card.evolutionLevel) > 0;
+    parts.push({id, isEvolved});
+  }
+
+  const ids = parts
+      .sort((a, b) => a.id - b.id)
+      .map((part) => (part.isEvolved ? `${part.id}e` : String(part.id)))
+      .join("-");
+  return `${DECK_KEY_VERSION}:${ids}`;
+}
+
+/**
+ * Lists the distinct card ids of a deck, stored as `cardIds` so that
+ * getTopPlayersDecks can filter by card with an `array-contains` query
+ * @param {Array<{id: number}>} cards - Deck cards
+ * @return {number[]}
+ */
+function buildDeckCardIds(cards) {
+  if (!Array.isArray(cards)) {
+    return [];
+  }
+
+  const ids = cards
+      .map((card) => Number(card && card.id))
+      .filter(Number.isInteger);
+  return [...new Set(ids)].sort((a, b) => a - b);
+}
+
+/**
+ * Whether a stored deck key uses the current format
+ * @param {*} deckKey
+ * @return {boolean}
+ */
+function isCurrentDeckKey(deckKey) {
+  return typeof deckKey === "string" &&
+    deckKey.startsWith(`${DECK_KEY_VERSION}:`);
+}
+
+/**
+ * Whether a stored deck key, possibly written under the previous unversioned
+ * format, names the same deck as a current key
+ * @param {string|null} storedKey
+ * @param {string} deckKey - Key from buildDeckKey
+ * @return {boolean}
+ */
+function isSameDeckKey(storedKey, deckKey) {
+  return storedKey === deckKey ||
+    storedKey === deckKey.slice(DECK_KEY_VERSION.length + 1);
+}
+
+/**
+ * Converts a Firestore Timestamp into an ISO string for JSON responses
+ * @param {*} value
+ * @return {string|null}
+ */
+function toIsoString(value) {
+  return value && typeof value.toDate === "function" ?
+    value.toDate().toISOString() :
+    null;
+}
+
+/**
+ * Parses a Clash API battle time (e.g. "20240101T120000.000Z") into a Date
+ * @param {string} battleTime
+ * @return {Date|null}
+ */
+function parseBattleTime(battleTime) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})/.exec(
+      String(battleTime || ""),
   );
+  if (!match) {
+    return null;
+  }
 
-  if (!leaderboardResponse.ok) {
-    const text = await leaderboardResponse.text();
-    throw new Error(
-        `Leaderboard API error: ${leaderboardResponse.status} - ${text}`,
+  const [, year, month, day, hour, minute, second] = match;
+  return new Date(Date.UTC(
+      Number(year),
+      Number(month) - 1,
+      Number(day),
+      Number(hour),
+      Number(minute),
+      Number(second),
+  ));
+}
+
+// Sortable fields for getTopPlayersDecks and their default directions
+const DECK_SORT_DEFAULTS = {
+  rank: "asc",
+  trophies: "desc",
+  winRate: "desc",
+  gamesPlayed: "desc",
+  usageCount: "desc",
+};
+const MAX_DECKS_PAGE_SIZE = 500;
+
+/**
+ * Returns the configured leaderboard location ids, global first
+ * @return {string[]}
+ */
+function getLeaderboardLocationIds() {
+  const configured = leaderboardLocations.value()
+      .map((id) => String(id).trim())
+      .filter((id) => /^\d+$/.test(id));
+  return [...new Set([GLOBAL_LOCATION_ID, ...configured])];
+}
+
+/**
+ * Parses a comma-separated list of card ids from a query parameter
+ * @param {string|undefined} raw
+ * @return {number[]|null} Parsed ids, or null if any entry is not an id
+ */
+function parseCardIdList(raw) {
+  if (raw === undefined || raw === null || raw === "") {
+    return [];
+  }
+
+  const ids = String(raw)
+      .split(",")
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .map(Number);
+
+  return ids.every(Number.isInteger) ? ids : null;
+}
+
+/**
+ * Parses an optional numeric query parameter
+ * @param {string|undefined} raw
+ * @return {number|null|undefined} Number, null when absent, undefined when
+ *   present but not numeric
+ */
+function parseOptionalNumber(raw) {
+  if (raw === undefined || raw === null || raw === "") {
+    return null;
+  }
+
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Encodes the position after a player's deck as an opaque cursor
+ * @param {string} docId - `topPlayers` document id of the last deck returned
+ * @return {string}
+ */
+function encodeDecksCursor(docId) {
+  return Buffer.from(JSON.stringify({after: docId})).toString("base64url");
+}
+
+/**
+ * Decodes a cursor produced by encodeDecksCursor
+ * @param {string} cursor
+ * @return {string|null} Document id, or null if the cursor is malformed
+ */
+function decodeDecksCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    const docId = parsed && parsed.after;
+    return typeof docId === "string" && /^[^/]+$/.test(docId) ? docId : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Compares two decks by a sort field, always placing missing values last
+ * @param {Object} a
+ * @param {Object} b
+ * @param {string} field
+ * @param {string} order - "asc" or "desc"
+ * @return {number}
+ */
+function compareDecksBy(a, b, field, order) {
+  const aValue = typeof a[field] === "number" ? a[field] : null;
+  const bValue = typeof b[field] === "number" ? b[field] : null;
+
+  if (aValue === null && bValue === null) return 0;
+  if (aValue === null) return 1;
+  if (bValue === null) return -1;
+  if (aValue === bValue) return 0;
+
+  return order === "asc" ? aValue - bValue : bValue - aValue;
+}
+
+/**
+ * Reads deck stats documents for the given deck keys, keyed by deck key
+ * @param {string[]} deckKeys
+ * @return {Promise<Map<string, Object>>}
+ */
+async function loadDeckStats(deckKeys) {
+  const statsByKey = new Map();
+  const collectionRef = db.collection("deckStats");
+  const chunkSize = 100;
+
+  for (let i = 0; i < deckKeys.length; i += chunkSize) {
+    const refs = deckKeys
+        .slice(i, i + chunkSize)
+        .map((deckKey) => collectionRef.doc(deckKey));
+    if (!refs.length) continue;
+
+    const snapshots = await db.getAll(...refs);
+    snapshots.forEach((snap) => {
+      if (snap.exists) {
+        statsByKey.set(snap.id, snap.data());
+      }
+    });
+  }
+
+  return statsByKey;
+}
+
+// Failed tags kept per run record; the counts still cover every failure
+const MAX_RUN_FAILURES = 100;
+const REFRESH_JOBS = ["leaderboard", "decks", "battleLogs", "cardMeta"];
+const MAX_REFRESH_RUNS_PAGE_SIZE = 100;
+// Timeout of the refresh functions, the most allowed for scheduled ones. A
+// run still "running" a minute past it was killed before it could record
+// the outcome.
+const REFRESH_TIMEOUT_SECONDS = 540;
+const REFRESH_RUN_STALE_MS = (REFRESH_TIMEOUT_SECONDS + 60) * 1000;
+
+/**
+ * Runs a refresh job and records the invocation in `refreshRuns`: trigger
+ * source, duration, player counts and failed tags with their error codes,
+ * or the error that stopped the job
+ * @param {string} job - One of REFRESH_JOBS
+ * @param {string} trigger - "http" or "schedule"
+ * @param {function(): Promise<Object>} runJob - Resolves with the job result
+ * @param {Object} [triggeredBy] - Admin actor for HTTP triggers
+ * @return {Promise<Object>} The job result plus `refreshRunId`
+ */
+async function recordRefreshRun(job, trigger, runJob, triggeredBy = null) {
+  const runRef = db.collection("refreshRuns").doc();
+  const startedAt = Date.now();
+  await runRef.set({
+    job,
+    trigger,
+    triggeredBy,
+    status: "running",
+    startedAt: FieldValue.serverTimestamp(),
+  });
+
+  try {
+    const result = await runJob();
+    const failures = Array.isArray(result.failures) ? result.failures : [];
+    await runRef.update({
+      status: "completed",
+      finishedAt: FieldValue.serverTimestamp(),
+      durationMs: Date.now() - startedAt,
+      totalPlayers: result.totalPlayers || 0,
+      processedPlayers: result.processedPlayers || 0,
+      skippedPlayers: result.skippedPlayers || 0,
+      failureCount: failures.length,
+      failures: failures.slice(0, MAX_RUN_FAILURES),
+      // Deck refreshes may span several invocations of one checkpointed run
+      checkpointRunId: result.runId || null,
+      resumed: Boolean(result.resumed),
+    });
+    return {...result, refreshRunId: runRef.id};
+  } catch (err) {
+    await runRef.update({
+      status: "failed",
+      finishedAt: FieldValue.serverTimestamp(),
+      durationMs: Date.now() - startedAt,
+      error: {
+        message: err instanceof Error ? err.message : String(err),
+        code: (err && err.code) || null,
+      },
+    }).catch((updateErr) => {
+      console.error(`Failed to record ${job} refresh failure`, updateErr);
+    });
+    throw err;
+  }
+}
+
+/**
+ * Fetches one location's Path of Legends leaderboard and stores each player's
+ * rank there under `locations.{locationId}`. Players who dropped off this
+ * location's leaderboard since the last refresh lose their membership.
+ * The global leaderboard additionally owns the top-level rank/trophies fields.
+ * @param {string} locationId - Clash API location id
+ * @return {Promise<{locationId: string, name: string, totalPlayers: number,
+ *   processedPlayers: number, skippedPlayers: number, removedPlayers: number,
+ *   failures: Array<{tag: string, code: string}>, source: string}>}
+ */
+async function refreshLocationLeaderboard(locationId) {
+  const clashApi = getClashApiClient();
+  const isGlobal = locationId === GLOBAL_LOCATION_ID;
+
+  // Fetch leaderboard to get player tags and basic info
+  let leaderboardData;
+  try {
+    leaderboardData = await clashApi.getPathOfLegendPlayers(locationId);
+  } catch (err) {
+    const error = new Error(
+        `Leaderboard API error (${locationId}): ${err.message}`,
     );
+    error.code = err.code;
+    throw error;
   }
 
-  const leaderboardData = await leaderboardResponse.json();
   const items = Array.isArray(leaderboardData.items) ?
     leaderboardData.items :
     [];
   const players = items.slice(0, 1000);
 
   if (!players.length) {
-    throw new Error("No players returned from leaderboard");
+    throw new Error(`No players returned from leaderboard (${locationId})`);
+  }
+
+  // Location names are only used for display, so a failure is not fatal
+  let locationInfo = {};
+  try {
+    locationInfo = await clashApi.getLocation(locationId);
+  } catch (err) {
+    console.warn(`Error fetching location ${locationId}:`, err.message);
   }
 
   const collectionRef = db.collection("topPlayers");
   const chunkSize = 500;
   let processedCount = 0;
   let skippedCount = 0;
+  const failures = [];
+  const currentDocIds = new Set();
 
   // Store basic leaderboard info (without decks)
   for (let i = 0; i < players.length; i += chunkSize) {
@@ -61,6 +489,7 @@ async function refreshTopPlayersLeaderboard() {
       if (!rawTag || rawTag === "#") {
         console.warn("Skipping player with invalid tag:", leaderboardPlayer);
         skippedCount++;
+        failures.push({tag: rawTag, code: "INVALID_TAG"});
         return;
       }
       const tag = rawTag.startsWith("#") ? rawTag : `#${rawTag}`;
@@ -68,70 +497,219 @@ async function refreshTopPlayersLeaderboard() {
       if (!docId) {
         console.warn("Skipping player with empty docId:", leaderboardPlayer);
         skippedCount++;
+        failures.push({tag: rawTag, code: "INVALID_TAG"});
         return;
       }
       const docRef = collectionRef.doc(docId);
+      currentDocIds.add(docId);
 
-      batch.set(
-          docRef,
+      const playerFields = {
+        tag,
+        name: leaderboardPlayer.name || null,
+        clan: leaderboardPlayer.clan ?
           {
-            tag,
-            name: leaderboardPlayer.name || null,
+            tag: leaderboardPlayer.clan.tag || null,
+            name: leaderboardPlayer.clan.name || null,
+          } :
+          null,
+        locationIds: FieldValue.arrayUnion(locationId),
+        locations: {
+          [locationId]: {
             rank: leaderboardPlayer.rank || null,
             trophies: leaderboardPlayer.trophies || null,
-            clan: leaderboardPlayer.clan ?
-              {
-                tag: leaderboardPlayer.clan.tag || null,
-                name: leaderboardPlayer.clan.name || null,
-              } :
-              null,
-            leaderboardUpdatedAt: FieldValue.serverTimestamp(),
             updatedAt: FieldValue.serverTimestamp(),
           },
-          {merge: true},
-      );
+        },
+        leaderboardUpdatedAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+
+      if (isGlobal) {
+        playerFields.rank = leaderboardPlayer.rank || null;
+        playerFields.trophies = leaderboardPlayer.trophies || null;
+      }
+
+      batch.set(docRef, playerFields, {merge: true});
       processedCount++;
     });
 
     await batch.commit();
     const stored = i + chunk.length;
     console.log(
-        `Stored ${stored} / ${players.length} players from leaderboard`,
+        `Stored ${stored} / ${players.length} players from leaderboard ` +
+        `${locationId}`,
     );
   }
 
+  // Drop membership for players no longer on this location's leaderboard
+  const membersSnapshot = await collectionRef
+      .where("locationIds", "array-contains", locationId)
+      .get();
+  const staleDocs = membersSnapshot.docs.filter(
+      (doc) => !currentDocIds.has(doc.id),
+  );
+
+  for (let i = 0; i < staleDocs.length; i += chunkSize) {
+    const batch = db.batch();
+    staleDocs.slice(i, i + chunkSize).forEach((doc) => {
+      const update = {
+        locationIds: FieldValue.arrayRemove(locationId),
+        [`locations.${locationId}`]: FieldValue.delete(),
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+      if (isGlobal) {
+        update.rank = null;
+        update.trophies = null;
+      }
+      batch.update(doc.ref, update);
+    });
+    await batch.commit();
+  }
+
+  const name = locationInfo.name || (isGlobal ? "Global" : locationId);
+  await db.collection("locations").doc(locationId).set(
+      {
+        id: locationId,
+        name,
+        countryCode: locationInfo.countryCode || null,
+        isCountry: Boolean(locationInfo.isCountry),
+        totalPlayers: players.length,
+        lastLeaderboardRefresh: FieldValue.serverTimestamp(),
+      },
+      {merge: true},
+  );
+
+  return {
+    locationId,
+    name,
+    totalPlayers: players.length,
+    processedPlayers: processedCount,
+    skippedPlayers: skippedCount,
+    removedPlayers: staleDocs.length,
+    failures,
+    source: leaderboardData.name || "pathoflegend",
+  };
+}
+
+/**
+ * Fetches the Path of Legends leaderboard of every configured location
+ * (always including global) and stores basic player info. A location that
+ * fails is recorded in `failures` and the others still refresh; the refresh
+ * only fails when every location does.
+ * @return {Promise<{success: boolean, totalPlayers: number, source: string,
+ *   failures: Array<Object>, locations: Array<Object>}>}
+ */
+async function refreshTopPlayersLeaderboard() {
+  const locationIds = getLeaderboardLocationIds();
+  const locations = [];
+  const failures = [];
+  let totalPlayers = 0;
+  let processedCount = 0;
+  let skippedCount = 0;
+
+  const failedLocationIds = [];
+  let firstError = null;
+
+  for (const locationId of locationIds) {
+    let locationResult;
+    try {
+      locationResult = await refreshLocationLeaderboard(locationId);
+    } catch (err) {
+      console.error(`Leaderboard refresh failed for ${locationId}`, err);
+      if (!firstError) firstError = err;
+      failedLocationIds.push(locationId);
+      failures.push({
+        tag: null,
+        code: err.code || "LOCATION_FAILED",
+        locationId,
+        message: err.message,
+      });
+      continue;
+    }
+
+    const {failures: locationFailures, ...result} = locationResult;
+    locations.push(result);
+    locationFailures.forEach((failure) => {
+      failures.push({...failure, locationId});
+    });
+    totalPlayers += result.totalPlayers;
+    processedCount += result.processedPlayers;
+    skippedCount += result.skippedPlayers;
+  }
+
+  if (!locations.length) {
+    throw firstError;
+  }
+
+  const source = locations[0].source;
+
   const metaRef = db.collection("leaderboards").doc("metadata");
   await metaRef.set(
       {
         lastLeaderboardRefresh: FieldValue.serverTimestamp(),
-        totalPlayers: players.length,
+        totalPlayers,
         processedPlayers: processedCount,
         skippedPlayers: skippedCount,
-        source: leaderboardData.name || "pathoflegend",
+        locationIds,
+        failedLocationIds,
+        source,
       },
       {merge: true},
   );
 
   return {
     success: true,
-    totalPlayers: players.length,
+    totalPlayers,
     processedPlayers: processedCount,
     skippedPlayers: skippedCount,
-    source: leaderboardData.name || "pathoflegend",
+    failures,
+    source,
+    locations,
   };
 }
 
+// A "running" run checkpoints after every chunk. One whose last checkpoint
+// is older than this lease died without recording a failure and may be
+// resumed; a more recent one is still live, so a second run is refused.
+const DECK_REFRESH_LEASE_MS = 10 * 60 * 1000;
+
+/**
+ * Whether a recorded deck refresh run is still being processed by a live
+ * invocation
+ * @param {Object|null} run - `leaderboards/metadata.deckRefresh`
+ * @return {boolean}
+ */
+function isDeckRefreshLive(run) {
+  if (!run || run.status !== "running") return false;
+  const updatedAt = run.updatedAt && run.updatedAt.toMillis ?
+    run.updatedAt.toMillis() :
+    0;
+  return Date.now() - updatedAt < DECK_REFRESH_LEASE_MS;
+}
+
 /**
- * Updates current decks for all players stored in Firestore
- * @return {Promise<{success: boolean, processedPlayers: number,
- *   skippedPlayers: number}>}
+ * Updates current decks for all players stored in Firestore.
+ *
+ * Progress is checkpointed to `leaderboards/metadata.deckRefresh` after
+ * every chunk. When the previous run did not finish (it crashed, timed out
+ * or failed), the next invocation continues that run after the last
+ * processed player instead of starting over. While another invocation's run
+ * is still live (see DECK_REFRESH_LEASE_MS) the refresh is refused with a
+ * REFRESH_IN_PROGRESS error, so two runs never share a checkpoint.
+ * @param {{restart: (boolean|undefined)}} [options] - `restart` discards
+ *   any unfinished run and starts from the first player
+ * @return {Promise<{success: boolean, runId: string, resumed: boolean,
+ *   totalPlayers: number, processedPlayers: number, skippedPlayers: number,
+ *   failures: Array<{tag: string, code: string}>}>}
  */
-async function refreshTopPlayersDecks() {
-  const apiKey = clashApiKey.value();
+async function refreshTopPlayersDecks(options = {}) {
+  const clashApi = getClashApiClient();
   const collectionRef = db.collection("topPlayers");
+  const metaRef = db.collection("leaderboards").doc("metadata");
 
-  // Get all players from Firestore
-  const snapshot = await collectionRef.get();
+  // Get all players from Firestore, ordered by id so that a checkpoint
+  // still points at the right place if players were added or removed
+  const snapshot = await collectionRef.orderBy(FieldPath.documentId()).get();
   if (snapshot.empty) {
     throw new Error(
         "No players found in Firestore. Run leaderboard refresh first.",
@@ -141,128 +719,1335 @@ async function refreshTopPlayersDecks() {
   const players = snapshot.docs.map((doc) => ({
     docId: doc.id,
     tag: doc.data().tag,
+    deckKey: doc.data().deckKey || null,
+    deckSnapshotId: doc.data().deckSnapshotId || null,
   }));
 
-  const chunkSize = 50; // Smaller chunks for API calls
-  let processedCount = 0;
-  let skippedCount = 0;
+  // Claim the run in a transaction, so overlapping scheduled and manual
+  // invocations cannot both see the previous run as theirs to continue
+  const {run, previousStatus} = await db.runTransaction(async (tx) => {
+    const metaDoc = await tx.get(metaRef);
+    const previousRun = metaDoc.exists ? metaDoc.get("deckRefresh") : null;
 
-  // Process players in chunks, fetching deck data for each
-  for (let i = 0; i < players.length; i += chunkSize) {
-    const batch = db.batch();
-    const chunk = players.slice(i, i + chunkSize);
+    if (isDeckRefreshLive(previousRun)) {
+      const error = new Error(
+          `Deck refresh ${previousRun.runId} is still running`,
+      );
+      error.code = "REFRESH_IN_PROGRESS";
+      throw error;
+    }
 
-    const deckPromises = chunk.map(async (player) => {
-      if (!player.tag) {
-        skippedCount++;
-        return null;
+    // Unfinished runs are either failed or "running" past their lease
+    const resumable = !options.restart &&
+      previousRun &&
+      (previousRun.status === "failed" || previousRun.status === "running");
+
+    const claimed = resumable ?
+      {...previousRun} :
+      {
+        runId: crypto.randomUUID(),
+        startedAt: FieldValue.serverTimestamp(),
+        processedPlayers: 0,
+        skippedPlayers: 0,
+        lastProcessedIndex: -1,
+        lastProcessedDocId: null,
+      };
+    claimed.status = "running";
+    claimed.totalPlayers = players.length;
+    claimed.finishedAt = null;
+    claimed.failureReason = null;
+    claimed.updatedAt = FieldValue.serverTimestamp();
+    tx.set(metaRef, {deckRefresh: claimed}, {merge: true});
+
+    return {
+      run: claimed,
+      previousStatus: resumable ? previousRun.status : null,
+    };
+  });
+  const resumable = previousStatus !== null;
+
+  let startIndex = 0;
+  if (resumable) {
+    if (run.lastProcessedDocId) {
+      const nextIndex = players.findIndex(
+          (player) => player.docId > run.lastProcessedDocId,
+      );
+      startIndex = nextIndex === -1 ? players.length : nextIndex;
+    }
+    console.log(
+        `Resuming deck refresh ${run.runId} at player ${startIndex} ` +
+        `(previous status: ${previousStatus})`,
+    );
+  }
+
+  // The API client bounds concurrency and request rate; chunks only bound
+  // the size of each Firestore batch.
+  const chunkSize = 50;
+  let processedCount = run.processedPlayers || 0;
+  let skippedCount = run.skippedPlayers || 0;
+  // Only this invocation's failures; earlier ones are in their run records
+  const failures = [];
+
+  try {
+    // Decks stored before `cardIds` existed get it from the stored deck, so
+    // card filters also find players whose fetch fails in this run
+    const missingCardIds = snapshot.docs.filter((doc) =>
+      Array.isArray(doc.get("currentDeck")) &&
+      !Array.isArray(doc.get("cardIds")),
+    );
+    for (let i = 0; i < missingCardIds.length; i += 500) {
+      const batch = db.batch();
+      missingCardIds.slice(i, i + 500).forEach((doc) => {
+        batch.update(doc.ref, {
+          cardIds: buildDeckCardIds(doc.get("currentDeck")),
+        });
+      });
+      await batch.commit();
+    }
+
+    for (let i = startIndex; i < players.length; i += chunkSize) {
+      const batch = db.batch();
+      const chunk = players.slice(i, i + chunkSize);
+
+      const deckPromises = chunk.map(async (player) => {
+        if (!player.tag) {
+          skippedCount++;
+          failures.push({tag: player.docId, code: "MISSING_TAG"});
+          return null;
+        }
+
+        try {
+          const playerData = await clashApi.getPlayer(player.tag);
+          processedCount++;
+
+          return {
+            docId: player.docId,
+            tag: player.tag,
+            previousDeckKey: player.deckKey,
+            previousSnapshotId: player.deckSnapshotId,
+            playerData,
+          };
+        } catch (err) {
+          console.warn(
+              `Failed to fetch player ${player.tag} (${err.code}):`,
+              err.message,
+          );
+          skippedCount++;
+          failures.push({tag: player.tag, code: err.code || "UNKNOWN"});
+          return null;
+        }
+      });
+
+      const deckResults = await Promise.all(deckPromises);
+
+      // Update Firestore with deck data
+      deckResults.forEach((result) => {
+        if (!result) return;
+
+        const {docId, playerData, previousDeckKey, previousSnapshotId} = result;
+        const docRef = collectionRef.doc(docId);
+
+        const deckCards = Array.isArray(playerData.currentDeck) ?
+          playerData.currentDeck.map((card) => ({
+            id: card.id,
+            name: card.name,
+            level: card.level,
+            rarity: card.rarity,
+            evolutionLevel: card.evolutionLevel || 0,
+            elixirCost: typeof card.elixirCost === "number" ?
+              card.elixirCost :
+              null,
+            iconUrl: card.iconUrls && card.iconUrls.medium ?
+              card.iconUrls.medium :
+              null,
+            evolutionIconUrl: card.iconUrls && card.iconUrls.evolutionMedium ?
+              card.iconUrls.evolutionMedium :
+              null,
+          })) :
+          [];
+
+        const deckKey = buildDeckKey(deckCards);
+
+        // Append a history snapshot only when the deck changed; otherwise just
+        // extend the current snapshot's lastSeenAt.
+        let deckSnapshotId = previousSnapshotId;
+        if (deckKey) {
+          const historyRef = docRef.collection("deckHistory");
+          if (!isSameDeckKey(previousDeckKey, deckKey) ||
+            !previousSnapshotId) {
+            const snapshotRef = historyRef.doc();
+            deckSnapshotId = snapshotRef.id;
+            batch.set(snapshotRef, {
+              deckKey,
+              cards: deckCards,
+              firstSeenAt: FieldValue.serverTimestamp(),
+              lastSeenAt: FieldValue.serverTimestamp(),
+            });
+          } else {
+            batch.set(
+                historyRef.doc(previousSnapshotId),
+                {lastSeenAt: FieldValue.serverTimestamp()},
+                {merge: true},
+            );
+          }
+        }
+
+        batch.set(
+            docRef,
+            {
+              currentDeck: deckCards,
+              cardIds: buildDeckCardIds(deckCards),
+              deckKey,
+              deckSnapshotId: deckSnapshotId || null,
+              deckUpdatedAt: FieldValue.serverTimestamp(),
+              updatedAt: FieldValue.serverTimestamp(),
+            },
+            {merge: true},
+        );
+      });
+
+      // The checkpoint is committed with the chunk's writes, so a resumed run
+      // never skips or repeats a player
+      const lastIndex = i + chunk.length - 1;
+      batch.update(metaRef, {
+        "deckRefresh.processedPlayers": processedCount,
+        "deckRefresh.skippedPlayers": skippedCount,
+        "deckRefresh.lastProcessedIndex": lastIndex,
+        "deckRefresh.lastProcessedDocId": players[lastIndex].docId,
+        "deckRefresh.updatedAt": FieldValue.serverTimestamp(),
+      });
+
+      await batch.commit();
+      console.log(
+          `Updated decks for ${lastIndex + 1} / ${players.length} players`,
+      );
+    }
+  } catch (err) {
+    await metaRef.update({
+      "deckRefresh.status": "failed",
+      "deckRefresh.failureReason":
+        err instanceof Error ? err.message : String(err),
+      "deckRefresh.updatedAt": FieldValue.serverTimestamp(),
+    }).catch((updateErr) => {
+      console.error("Failed to record deck refresh failure", updateErr);
+    });
+    throw err;
+  }
+
+  await metaRef.update({
+    "lastDeckRefresh": FieldValue.serverTimestamp(),
+    "processedPlayers": processedCount,
+    "skippedPlayers": skippedCount,
+    "deckRefresh.status": "completed",
+    "deckRefresh.finishedAt": FieldValue.serverTimestamp(),
+    "deckRefresh.updatedAt": FieldValue.serverTimestamp(),
+  });
+
+  return {
+    success: true,
+    runId: run.runId,
+    resumed: Boolean(resumable),
+    totalPlayers: players.length,
+    processedPlayers: processedCount,
+    skippedPlayers: skippedCount,
+    failures,
+  };
+}
+
+// The card list only changes with game updates, so getCards re-syncs it
+// from the Clash API at most once a day
+const CARD_CATALOG_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reduces a Clash API card (or tower troop) to the fields the app uses
+ * @param {Object} card - Item from the /cards response
+ * @return {Object}
+ */
+function toCatalogCard(card) {
+  const iconUrls = card.iconUrls || {};
+  const maxEvolutionLevel = card.maxEvolutionLevel || 0;
+  return {
+    id: card.id,
+    name: card.name,
+    elixirCost: typeof card.elixirCost === "number" ? card.elixirCost : null,
+    rarity: card.rarity ? String(card.rarity).toLowerCase() : null,
+    maxLevel: card.maxLevel || null,
+    maxEvolutionLevel,
+    hasEvolution: maxEvolutionLevel > 0,
+    iconUrl: iconUrls.medium || null,
+    evolutionIconUrl: iconUrls.evolutionMedium || null,
+    heroIconUrl: iconUrls.heroMedium || null,
+  };
+}
+
+/**
+ * Fetches all cards from the Clash API and stores them as a single
+ * `cardCatalog/current` document, so serving the catalog costs one read
+ * @return {Promise<{cards: Array<Object>, towerTroops: Array<Object>,
+ *   syncedAt: Date}>}
+ */
+async function syncCardCatalog() {
+  const data = await getClashApiClient().getCards();
+  const items = Array.isArray(data.items) ? data.items : [];
+  if (!items.length) {
+    throw new Error("No cards returned from the Clash API");
+  }
+
+  const catalog = {
+    cards: items.map(toCatalogCard),
+    towerTroops: Array.isArray(data.supportItems) ?
+      data.supportItems.map(toCatalogCard) :
+      [],
+    syncedAt: new Date(),
+  };
+  await db.collection("cardCatalog").doc("current").set(catalog);
+  console.log(`Synced ${catalog.cards.length} cards to the catalog`);
+
+  return catalog;
+}
+
+// Only the most common pairs are kept per snapshot to bound document size
+const META_TOP_PAIRS = 200;
+const MAX_META_DAYS = 90;
+
+/**
+ * Computes card usage rates, evolution usage and pair co-occurrence across
+ * the decks of players on the global leaderboard and saves them as today's
+ * snapshot in `cardMeta/{YYYY-MM-DD}`, building up a daily time series
+ * @return {Promise<{success: boolean, date: string, totalDecks: number,
+ *   trackedCards: number, trackedPairs: number}>}
+ */
+async function refreshCardMeta() {
+  // Only global players carry a top-level rank; players tracked through a
+  // regional leaderboard alone would skew the top ladder meta
+  const snapshot = await db.collection("topPlayers")
+      .where("rank", ">=", 1)
+      .get();
+
+  const cards = {};
+  const pairCounts = new Map();
+  let totalDecks = 0;
+
+  snapshot.forEach((doc) => {
+    const currentDeck = doc.data().currentDeck;
+    if (!Array.isArray(currentDeck) || currentDeck.length !== 8) return;
+    totalDecks++;
+
+    const ids = [];
+    currentDeck.forEach((card, slot) => {
+      const id = Number(card && card.id);
+      if (!Number.isInteger(id)) return;
+
+      if (!cards[id]) {
+        cards[id] = {name: card.name || null, count: 0, evolutionCount: 0};
+      }
+      cards[id].count++;
+      if (slot < EVOLUTION_SLOT_COUNT && Number(card.evolutionLevel) > 0) {
+        cards[id].evolutionCount++;
+      }
+      ids.push(id);
+    });
+
+    ids.sort((a, b) => a - b);
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const pairKey = `${ids[i]}-${ids[j]}`;
+        pairCounts.set(pairKey, (pairCounts.get(pairKey) || 0) + 1);
+      }
+    }
+  });
+
+  if (!totalDecks) {
+    throw new Error("No decks found in Firestore. Run deck refresh first.");
+  }
+
+  Object.values(cards).forEach((card) => {
+    card.usageRate = card.count / totalDecks;
+    card.evolutionRate = card.evolutionCount / totalDecks;
+  });
+
+  const pairs = Array.from(pairCounts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, META_TOP_PAIRS)
+      .map(([pairKey, count]) => {
+        const cardIds = pairKey.split("-").map(Number);
+        return {
+          cardIds,
+          names: cardIds.map((id) => cards[id].name),
+          count,
+          rate: count / totalDecks,
+        };
+      });
+
+  const date = new Date().toISOString().slice(0, 10);
+  await db.collection("cardMeta").doc(date).set({
+    date,
+    totalDecks,
+    cards,
+    pairs,
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  console.log(
+      `Stored card meta for ${date}: ${totalDecks} decks, ` +
+      `${Object.keys(cards).length} cards`,
+  );
+
+  return {
+    success: true,
+    date,
+    totalDecks,
+    trackedCards: Object.keys(cards).length,
+    trackedPairs: pairs.length,
+  };
+}
+
+/**
+ * Whether a battle log item counts towards deck win rates: a 1v1 ladder or
+ * Path of Legends battle
+ * @param {Object} battle - Item from /players/{tag}/battlelog
+ * @return {boolean}
+ */
+function isCompetitiveBattle(battle) {
+  if (!battle || !COMPETITIVE_BATTLE_TYPES.has(battle.type)) return false;
+  // Only 1v1 battles have a single deck to credit
+  return Array.isArray(battle.team) && battle.team.length === 1 &&
+    Array.isArray(battle.opponent) && battle.opponent.length === 1;
+}
+
+/**
+ * Records new competitive 1v1 battles (see isCompetitiveBattle) from a
+ * player's battle log and adds their results to the per-deck totals in
+ * `deckStats`. Battles already recorded on a previous run (or twice in the
+ * same log) are ignored.
+ * @param {string} playerTag - Normalized tag of the top player
+ * @param {Array<Object>} battles - Items from /players/{tag}/battlelog
+ * @return {Promise<{recorded: number, duplicates: number}>}
+ */
+async function recordPlayerBattles(playerTag, battles) {
+  const battlesRef = db.collection("battles");
+  const deckStatsRef = db.collection("deckStats");
+
+  const entries = [];
+  battles.forEach((battle) => {
+    if (!isCompetitiveBattle(battle)) return;
+
+    const own = battle.team[0];
+    const opp = battle.opponent[0];
+    const deckKey = buildDeckKey(own.cards);
+    const battleTime = parseBattleTime(battle.battleTime);
+    if (!deckKey || !battleTime) return;
+
+    const ownCrowns = Number(own.crowns) || 0;
+    const oppCrowns = Number(opp.crowns) || 0;
+    let result = "draw";
+    if (ownCrowns > oppCrowns) {
+      result = "win";
+    } else if (ownCrowns < oppCrowns) {
+      result = "loss";
+    }
+
+    const battleId = [
+      battle.battleTime,
+      String(own.tag || playerTag).replace(/^#/, ""),
+      String(opp.tag || "").replace(/^#/, ""),
+    ].join("_");
+
+    entries.push({
+      battleId,
+      deckKey,
+      result,
+      battleTime,
+      cards: own.cards,
+      gameMode: battle.gameMode && battle.gameMode.name ?
+        battle.gameMode.name :
+        null,
+    });
+  });
+
+  if (!entries.length) {
+    return {recorded: 0, duplicates: 0};
+  }
+
+  const battleRefs = entries.map((entry) => battlesRef.doc(entry.battleId));
+  const existing = await db.getAll(...battleRefs);
+  const seenIds = new Set(
+      existing.filter((snap) => snap.exists).map((snap) => snap.id),
+  );
+
+  const batch = db.batch();
+  const deckTotals = new Map();
+  const expireAt = new Date(Date.now() + BATTLE_MARKER_TTL_MS);
+  let recorded = 0;
+  let duplicates = 0;
+
+  entries.forEach((entry, idx) => {
+    if (seenIds.has(entry.battleId)) {
+      duplicates++;
+      return;
+    }
+    seenIds.add(entry.battleId);
+
+    batch.set(battleRefs[idx], {
+      playerTag,
+      deckKey: entry.deckKey,
+      result: entry.result,
+      gameMode: entry.gameMode,
+      battleTime: entry.battleTime,
+      recordedAt: FieldValue.serverTimestamp(),
+      expireAt,
+    });
+
+    if (!deckTotals.has(entry.deckKey)) {
+      deckTotals.set(entry.deckKey, {
+        cards: entry.cards,
+        wins: 0,
+        losses: 0,
+        draws: 0,
+        lastBattleAt: entry.battleTime,
+      });
+    }
+    const totals = deckTotals.get(entry.deckKey);
+    if (entry.result === "win") totals.wins++;
+    if (entry.result === "loss") totals.losses++;
+    if (entry.result === "draw") totals.draws++;
+    if (entry.battleTime > totals.lastBattleAt) {
+      totals.lastBattleAt = entry.battleTime;
+    }
+    recorded++;
+  });
+
+  if (!recorded) {
+    return {recorded, duplicates};
+  }
+
+  deckTotals.forEach((totals, deckKey) => {
+    batch.set(
+        deckStatsRef.doc(deckKey),
+        {
+          deckKey,
+          cards: totals.cards.map((card) => ({
+            id: card.id,
+            name: card.name,
+          })),
+          wins: FieldValue.increment(totals.wins),
+          losses: FieldValue.increment(totals.losses),
+          draws: FieldValue.increment(totals.draws),
+          gamesPlayed: FieldValue.increment(
+              totals.wins + totals.losses + totals.draws,
+          ),
+          lastBattleAt: totals.lastBattleAt,
+          updatedAt: FieldValue.serverTimestamp(),
+        },
+        {merge: true},
+    );
+  });
+
+  await batch.commit();
+  return {recorded, duplicates};
+}
+
+/**
+ * Pulls the battle log of every stored top player and accumulates
+ * wins/losses/draws per deck in the `deckStats` collection
+ * @return {Promise<{success: boolean, totalPlayers: number,
+ *   processedPlayers: number, skippedPlayers: number,
+ *   failures: Array<{tag: string, code: string}>, recordedBattles: number,
+ *   duplicateBattles: number}>}
+ */
+async function refreshTopPlayersBattleLogs() {
+  const clashApi = getClashApiClient();
+  const snapshot = await db.collection("topPlayers").get();
+  if (snapshot.empty) {
+    throw new Error(
+        "No players found in Firestore. Run leaderboard refresh first.",
+    );
+  }
+
+  const players = snapshot.docs.map((doc) => ({
+    docId: doc.id,
+    tag: doc.data().tag,
+  }));
+
+  const chunkSize = 50;
+  let processedCount = 0;
+  let skippedCount = 0;
+  let recordedBattles = 0;
+  let duplicateBattles = 0;
+  const failures = [];
+
+  for (let i = 0; i < players.length; i += chunkSize) {
+    const chunk = players.slice(i, i + chunkSize);
+
+    const logPromises = chunk.map(async (player) => {
+      if (!player.tag) {
+        skippedCount++;
+        return null;
+      }
+
+      try {
+        const battles = await clashApi.getBattleLog(player.tag);
+
+        return {
+          tag: player.tag,
+          battles: Array.isArray(battles) ? battles : [],
+        };
+      } catch (err) {
+        console.warn(
+            `Failed to fetch battle log ${player.tag} (${err.code}):`,
+            err.message,
+        );
+        skippedCount++;
+        failures.push({tag: player.tag, code: err.code || "FETCH_FAILED"});
+        return null;
+      }
+    });
+
+    const logResults = await Promise.all(logPromises);
+
+    for (const result of logResults) {
+      if (!result) continue;
+
+      try {
+        const counts = await recordPlayerBattles(result.tag, result.battles);
+        recordedBattles += counts.recorded;
+        duplicateBattles += counts.duplicates;
+        processedCount++;
+      } catch (err) {
+        console.warn(`Error recording battles ${result.tag}:`, err.message);
+        skippedCount++;
+        failures.push({tag: result.tag, code: err.code || "RECORD_FAILED"});
+      }
+    }
+
+    console.log(
+        `Processed battle logs for ${i + chunk.length} / ${players.length} ` +
+        `players (${recordedBattles} new battles)`,
+    );
+  }
+
+  const metaRef = db.collection("leaderboards").doc("metadata");
+  await metaRef.set(
+      {
+        lastBattleLogRefresh: FieldValue.serverTimestamp(),
+        battleLogPlayers: processedCount,
+        recordedBattles,
+      },
+      {merge: true},
+  );
+
+  return {
+    success: true,
+    totalPlayers: players.length,
+    processedPlayers: processedCount,
+    skippedPlayers: skippedCount,
+    failures,
+    recordedBattles,
+    duplicateBattles,
+  };
+}
+
+exports.getPlayer = onRequest(
+    {
+      region: "us-central1",
+      vpcConnector: "serverless-vpc-connector",
+      vpcConnectorEgressSettings: "ALL_TRAFFIC",
+      secrets: [clashApiKey],
+    },
+    async (req, res) => {
+      if (req.method === "OPTIONS") {
+        // Handle CORS preflight
+        res.set("Access-Control-Allow-Origin", "*");
+        res.set("Access-Control-Allow-Methods", "GET, OPTIONS");
+        res.set("Access-Control-Allow-Headers", "Content-Type");
+        return res.status(204).send("");
+      }
+
+      if (req.method !== "GET") {
+        return res.status(405).send("Method Not Allowed");
+      }
+
+      res.set("Access-Control-Allow-Origin", "*");
+      // Let the frontend read cache freshness
+      res.set(
+          "Access-Control-Expose-Headers",
+          "X-Cache, Last-Updated, Warning",
+      );
+
+      const rawTag = req.query.tag;
+      if (!rawTag) {
+        return res.status(400).json({error: "Missing tag query parameter"});
+      }
+
+      const trimmed = String(rawTag).trim().toUpperCase();
+      const normalized = trimmed.startsWith("#") ? trimmed : `#${trimmed}`;
+      const cacheRef = db
+          .collection("playerCache")
+          .doc(normalized.replace(/^#/, ""));
+      const force = req.query.force === "true";
+
+      try {
+        const cacheSnap = await cacheRef.get();
+        const cached = cacheSnap.exists ? cacheSnap.data() : null;
+        const cachedAt = cached && cached.fetchedAt ?
+          cached.fetchedAt.toDate() :
+          null;
+        const ttlMs = playerCacheTtlSeconds.value() * 1000;
+
+        if (!force && cachedAt && Date.now() - cachedAt.getTime() < ttlMs) {
+          res.set("X-Cache", "HIT");
+          res.set("Last-Updated", cachedAt.toUTCString());
+          return res.status(200).json(cached.data);
+        }
+
+        let data;
+        try {
+          data = await getClashApiClient().getPlayer(
+              normalized,
+              INTERACTIVE_REQUEST_OPTIONS,
+          );
+        } catch (err) {
+          // Serve the last known profile when the API is down, but not when
+          // it answered that the player does not exist
+          const upstreamDown = err instanceof ClashApiError &&
+            (err.retryable || err.code === "UNAUTHORIZED");
+          if (cachedAt && upstreamDown) {
+            console.warn(
+                `Serving stale profile for ${normalized} (${err.code})`,
+            );
+            res.set("X-Cache", "STALE");
+            res.set("Last-Updated", cachedAt.toUTCString());
+            res.set(
+                "Warning",
+                `110 - "Response is stale: Clash API error ${err.code}"`,
+            );
+            return res.status(200).json(cached.data);
+          }
+          throw err;
+        }
+
+        const fetchedAt = new Date();
+        await cacheRef.set({
+          tag: normalized,
+          data,
+          fetchedAt,
+          expireAt: new Date(
+              fetchedAt.getTime() + PLAYER_CACHE_RETENTION_MS,
+          ),
+        }).catch((cacheErr) => {
+          console.error(`Failed to cache player ${normalized}`, cacheErr);
+        });
+
+        res.set("X-Cache", force ? "BYPASS" : "MISS");
+        res.set("Last-Updated", fetchedAt.toUTCString());
+        return res.status(200).json(data);
+      } catch (err) {
+        if (err instanceof ClashApiError) {
+          if (err.status) {
+            return res
+                .status(err.status)
+                .json({
+                  error: "Clash API error",
+                  code: err.code,
+                  details: err.body,
+                });
+          }
+          return res
+              .status(err.code === "TIMEOUT" ? 504 : 502)
+              .json({error: "Clash API unavailable", code: err.code});
+        }
+        console.error(err);
+        return res.status(500).json({error: "Internal error"});
+      }
+    },
+);
+
+// HTTP endpoint for fetching top players decks from Firestore
+exports.getTopPlayersDecks = onRequest(
+    {
+      region: "us-central1",
+    },
+    async (req, res) => {
+      if (req.method === "OPTIONS") {
+        res.set("Access-Control-Allow-Origin", "*");
+        res.set("Access-Control-Allow-Methods", "GET, OPTIONS");
+        res.set("Access-Control-Allow-Headers", "Content-Type");
+        return res.status(204).send("");
+      }
+
+      if (req.method !== "GET") {
+        res.set("Access-Control-Allow-Origin", "*");
+        return res.status(405).send("Method Not Allowed");
+      }
+
+      res.set("Access-Control-Allow-Origin", "*");
+
+      // groupBy=deck returns each unique deck once with the players running it
+      const groupByDeck =
+        String(req.query.groupBy || "").toLowerCase() === "deck";
+
+      const includeCards = parseCardIdList(req.query.includeCards);
+      const excludeCards = parseCardIdList(req.query.excludeCards);
+      const minRank = parseOptionalNumber(req.query.minRank);
+      const maxRank = parseOptionalNumber(req.query.maxRank);
+      const minTrophies = parseOptionalNumber(req.query.minTrophies);
+      const maxTrophies = parseOptionalNumber(req.query.maxTrophies);
+      const limit = parseOptionalNumber(req.query.limit);
+
+      if (!includeCards || !excludeCards) {
+        return res.status(400).json({
+          success: false,
+          error: "includeCards and excludeCards must be comma-separated ids",
+        });
+      }
+
+      if ([minRank, maxRank, minTrophies, maxTrophies, limit].some(
+          (value) => value === undefined,
+      )) {
+        return res.status(400).json({
+          success: false,
+          error: "Rank, trophy and limit parameters must be numbers",
+        });
+      }
+
+      if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+        return res.status(400).json({
+          success: false,
+          error: "limit must be a positive integer",
+        });
+      }
+
+      const sort = req.query.sort ? String(req.query.sort) : "rank";
+      if (!Object.prototype.hasOwnProperty.call(DECK_SORT_DEFAULTS, sort)) {
+        return res.status(400).json({
+          success: false,
+          error: `sort must be one of: ${
+            Object.keys(DECK_SORT_DEFAULTS).join(", ")}`,
+        });
+      }
+
+      const order = req.query.order ?
+        String(req.query.order).toLowerCase() :
+        DECK_SORT_DEFAULTS[sort];
+      if (order !== "asc" && order !== "desc") {
+        return res.status(400).json({
+          success: false,
+          error: "order must be asc or desc",
+        });
+      }
+
+      // Regional leaderboards are stored per player under `locations.{id}`
+      const location = req.query.location ?
+        String(req.query.location).trim() :
+        GLOBAL_LOCATION_ID;
+      if (!/^\d+$/.test(location)) {
+        return res.status(400).json({
+          success: false,
+          error: "location must be a Clash API location id",
+        });
+      }
+      const isGlobal = location === GLOBAL_LOCATION_ID;
+
+      let afterDocId = null;
+      if (req.query.cursor) {
+        afterDocId = decodeDecksCursor(String(req.query.cursor));
+        if (afterDocId === null) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid cursor",
+          });
+        }
+      }
+
+      try {
+        const collectionRef = db.collection("topPlayers");
+        const rankField = isGlobal ? "rank" : `locations.${location}.rank`;
+
+        // The rank range, the trophy range and the first included card are
+        // served by Firestore (see firestore.indexes.json); the deck refresh
+        // keeps `cardIds` filled in. Every ranked player has a rank of at
+        // least 1, so the lower bound only leaves out unranked players.
+        // Regional standings live in a per-location map that composite
+        // indexes cannot cover, so there trophies and cards are checked below
+        // along with the remaining includes and the excludes.
+        let query = collectionRef.where(
+            rankField,
+            ">=",
+            minRank !== null ? minRank : 1,
+        );
+        if (maxRank !== null) query = query.where(rankField, "<=", maxRank);
+        if (isGlobal) {
+          if (minTrophies !== null) {
+            query = query.where("trophies", ">=", minTrophies);
+          }
+          if (maxTrophies !== null) {
+            query = query.where("trophies", "<=", maxTrophies);
+          }
+          if (includeCards.length) {
+            query = query.where("cardIds", "array-contains", includeCards[0]);
+          }
+        }
+        query = query.orderBy(rankField);
+
+        // Transforms a player document into deck format, or null if the
+        // player has no valid deck (8 cards)
+        const toDeck = (doc) => {
+          const data = doc.data();
+          const currentDeck = data.currentDeck;
+          const standing = isGlobal ?
+            data :
+            (data.locations && data.locations[location]) || {};
+
+          if (
+            !Array.isArray(currentDeck) ||
+            currentDeck.length !== 8 ||
+            !data.name ||
+            standing.rank === null ||
+            standing.rank === undefined
+          ) {
+            return null;
+          }
+
+          return {
+            id: `player-${data.tag}`,
+            name: `${data.name} (Rank #${standing.rank})`,
+            playerTag: data.tag,
+            playerName: data.name,
+            rank: standing.rank,
+            trophies: typeof standing.trophies === "number" ?
+              standing.trophies :
+              null,
+            deckKey: isCurrentDeckKey(data.deckKey) ?
+              data.deckKey :
+              buildDeckKey(currentDeck),
+            cards: currentDeck.map((card) => ({
+              id: card.id,
+              name: card.name,
+              image: card.iconUrl || "",
+              evolutionImage: card.evolutionIconUrl || null,
+              evolutionLevel: card.evolutionLevel || 0,
+              level: card.level || 1,
+              rarity: card.rarity,
+              elixirCost: typeof card.elixirCost === "number" ?
+                card.elixirCost :
+                null,
+            })),
+          };
+        };
+
+        const matchesFilters = (deck) => {
+          const cardIds = new Set(deck.cards.map((card) => card.id));
+          if (!includeCards.every((id) => cardIds.has(id))) return false;
+          if (excludeCards.some((id) => cardIds.has(id))) return false;
+          if (minTrophies !== null &&
+            !(typeof deck.trophies === "number" &&
+              deck.trophies >= minTrophies)) {
+            return false;
+          }
+          if (maxTrophies !== null &&
+            !(typeof deck.trophies === "number" &&
+              deck.trophies <= maxTrophies)) {
+            return false;
+          }
+          return true;
+        };
+
+        // Attach battle results recorded by the battle log ingestion. Only
+        // the stat sorts need them for every deck; otherwise just the
+        // returned page is looked up.
+        const attachDeckStats = async (targetDecks) => {
+          const deckKeys = [
+            ...new Set(
+                targetDecks.map((deck) => deck.deckKey).filter(Boolean),
+            ),
+          ];
+          const statsByKey = await loadDeckStats(deckKeys);
+
+          targetDecks.forEach((deck) => {
+            const stats = deck.deckKey ? statsByKey.get(deck.deckKey) : null;
+            const wins = stats ? Number(stats.wins) || 0 : 0;
+            const losses = stats ? Number(stats.losses) || 0 : 0;
+            const draws = stats ? Number(stats.draws) || 0 : 0;
+            const gamesPlayed = wins + losses + draws;
+
+            deck.wins = wins;
+            deck.losses = losses;
+            deck.draws = draws;
+            deck.gamesPlayed = gamesPlayed;
+            deck.winRate = gamesPlayed > 0 ? wins / gamesPlayed : null;
+          });
+        };
+
+        // Pages in leaderboard order read only as far as the page needs,
+        // resuming after the cursor's document. The total is not known
+        // without reading the rest, so it is left null.
+        if (limit !== null && !groupByDeck &&
+          sort === "rank" && order === "asc") {
+          let lastDoc = null;
+          if (afterDocId) {
+            lastDoc = await collectionRef.doc(afterDocId).get();
+            if (!lastDoc.exists) {
+              return res.status(400).json({
+                success: false,
+                error: "Invalid cursor",
+              });
+            }
+          }
+
+          const pageSize = Math.min(limit, MAX_DECKS_PAGE_SIZE);
+          const page = [];
+          let exhausted = false;
+          while (page.length < pageSize && !exhausted) {
+            const batchQuery = lastDoc ?
+              query.startAfter(lastDoc).limit(pageSize) :
+              query.limit(pageSize);
+            const {docs} = await batchQuery.get();
+
+            let used = 0;
+            while (used < docs.length && page.length < pageSize) {
+              const doc = docs[used++];
+              lastDoc = doc;
+              const deck = toDeck(doc);
+              if (deck && matchesFilters(deck)) page.push(deck);
+            }
+            exhausted = docs.length < pageSize && used === docs.length;
+          }
+          await attachDeckStats(page);
+
+          return res.status(200).json({
+            success: true,
+            decks: page,
+            total: null,
+            nextCursor: exhausted ? null : encodeDecksCursor(lastDoc.id),
+          });
+        }
+
+        const snapshot = await query.get();
+        let decks = snapshot.docs
+            .map(toDeck)
+            .filter((deck) => deck && matchesFilters(deck));
+
+        if (groupByDeck) {
+          // Decks arrive ordered by rank, so the first player seen for a key
+          // is the best-ranked one and provides the representative deck. The
+          // group keeps that player's deck id rather than one derived from
+          // the deck key, so cached pairs and saved Explore positions still
+          // match when the key format changes.
+          const groups = new Map();
+          decks.forEach((deck) => {
+            const groupKey = deck.deckKey || deck.id;
+            if (!groups.has(groupKey)) {
+              groups.set(groupKey, {
+                ...deck,
+                players: [],
+              });
+            }
+            groups.get(groupKey).players.push({
+              tag: deck.playerTag,
+              name: deck.playerName,
+              rank: deck.rank,
+            });
+          });
+
+          decks = Array.from(groups.values()).map((group) => ({
+            ...group,
+            usageCount: group.players.length,
+          }));
+        }
+
+        const sortsByStats = sort === "winRate" || sort === "gamesPlayed";
+        if (sortsByStats) {
+          await attachDeckStats(decks);
+        }
+
+        if (sort !== "rank" || order !== "asc") {
+          decks.sort((a, b) =>
+            compareDecksBy(a, b, sort, order) ||
+            compareDecksBy(a, b, "rank", "asc"),
+          );
+        }
+
+        // Other orders need the whole filtered set, so the cursor names the
+        // document of the last deck returned and the page resumes after it
+        const docIdOf = (deck) => String(deck.playerTag).replace(/^#/, "");
+        let start = 0;
+        if (afterDocId) {
+          const cursorIndex = decks.findIndex(
+              (deck) => docIdOf(deck) === afterDocId,
+          );
+          if (cursorIndex === -1) {
+            return res.status(400).json({
+              success: false,
+              error: "Invalid cursor",
+            });
+          }
+          start = cursorIndex + 1;
+        }
+
+        // Without a limit the full list is returned, as before pagination
+        const total = decks.length;
+        const pageSize = limit === null ?
+          total :
+          Math.min(limit, MAX_DECKS_PAGE_SIZE);
+        const page = decks.slice(start, start + pageSize);
+        if (!sortsByStats) {
+          await attachDeckStats(page);
+        }
+
+        return res.status(200).json({
+          success: true,
+          decks: page,
+          total,
+          nextCursor: start + page.length < total ?
+            encodeDecksCursor(docIdOf(page[page.length - 1])) :
+            null,
+        });
+      } catch (err) {
+        console.error("getTopPlayersDecks failed", err);
+        return res.status(500).json({
+          success: false,
+          error: err instanceof Error ? err.message : "Unknown error",
+        });
+      }
+    },
+);
+
+// HTTP endpoint returning a top player's deck timeline, newest first
+exports.getPlayerDeckHistory = onRequest(
+    {
+      region: "us-central1",
+    },
+    async (req, res) => {
+      if (req.method === "OPTIONS") {
+        res.set("Access-Control-Allow-Origin", "*");
+        res.set("Access-Control-Allow-Methods", "GET, OPTIONS");
+        res.set("Access-Control-Allow-Headers", "Content-Type");
+        return res.status(204).send("");
+      }
+
+      if (req.method !== "GET") {
+        res.set("Access-Control-Allow-Origin", "*");
+        return res.status(405).send("Method Not Allowed");
+      }
+
+      res.set("Access-Control-Allow-Origin", "*");
+
+      const rawTag = req.query.tag;
+      if (!rawTag) {
+        return res.status(400).json({
+          success: false,
+          error: "Missing tag query parameter",
+        });
+      }
+
+      const limit = parseOptionalNumber(req.query.limit);
+      if (limit === undefined ||
+        (limit !== null && (!Number.isInteger(limit) || limit < 1))) {
+        return res.status(400).json({
+          success: false,
+          error: "limit must be a positive integer",
+        });
+      }
+
+      const trimmed = String(rawTag).trim().toUpperCase();
+      const normalized = trimmed.startsWith("#") ? trimmed : `#${trimmed}`;
+      const docId = normalized.replace(/^#/, "");
+
+      try {
+        const playerRef = db.collection("topPlayers").doc(docId);
+        const playerSnap = await playerRef.get();
+        if (!playerSnap.exists) {
+          return res.status(404).json({
+            success: false,
+            error: "Player is not tracked on the leaderboard",
+          });
+        }
+
+        const historyRef = playerRef.collection("deckHistory");
+        let query = historyRef.orderBy("firstSeenAt", "desc");
+        if (limit !== null) {
+          query = query.limit(limit);
+        }
+        const historySnap = await query.get();
+
+        // With a limit the page can be shorter than the history, so the
+        // total is counted separately
+        let total = historySnap.size;
+        if (limit !== null && historySnap.size === limit) {
+          const countSnap = await historyRef.count().get();
+          total = countSnap.data().count;
+        }
+
+        const history = historySnap.docs.map((doc) => {
+          const data = doc.data();
+          return {
+            id: doc.id,
+            deckKey: data.deckKey,
+            cards: (data.cards || []).map((card) => ({
+              id: card.id,
+              name: card.name,
+              image: card.iconUrl || "",
+              evolutionImage: card.evolutionIconUrl || null,
+              evolutionLevel: card.evolutionLevel || 0,
+              level: card.level || 1,
+              rarity: card.rarity,
+              elixirCost: typeof card.elixirCost === "number" ?
+                card.elixirCost :
+                null,
+            })),
+            firstSeenAt: toIsoString(data.firstSeenAt),
+            lastSeenAt: toIsoString(data.lastSeenAt),
+            isCurrent: doc.id === playerSnap.data().deckSnapshotId,
+          };
+        });
+
+        return res.status(200).json({
+          success: true,
+          tag: normalized,
+          name: playerSnap.data().name || null,
+          history,
+          total,
+        });
+      } catch (err) {
+        console.error("getPlayerDeckHistory failed", err);
+        return res.status(500).json({
+          success: false,
+          error: err instanceof Error ? err.message : "Unknown error",
+        });
+      }
+    },
+);
+
+// HTTP endpoint listing the tracked leaderboard locations
+exports.getLeaderboardLocations = onRequest(
+    {
+      region: "us-central1",
+    },
+    async (req, res) => {
+      if (req.method === "OPTIONS") {
+        res.set("Access-Control-Allow-Origin", "*");
+        res.set("Access-Control-Allow-Methods", "GET, OPTIONS");
+        res.set("Access-Control-Allow-Headers", "Content-Type");
+        return res.status(204).send("");
       }
 
-      try {
-        const encodedTag = encodeURIComponent(player.tag);
-        const playerResponse = await fetch(
-            `https://api.clashroyale.com/v1/players/${encodedTag}`,
-            {
-              headers: {
-                Authorization: `Bearer ${apiKey}`,
-              },
-            },
-        );
-
-        if (!playerResponse.ok) {
-          console.warn(
-              `Failed to fetch player ${player.tag}: ${playerResponse.status}`,
-          );
-          skippedCount++;
-          return null;
-        }
+      if (req.method !== "GET") {
+        res.set("Access-Control-Allow-Origin", "*");
+        return res.status(405).send("Method Not Allowed");
+      }
 
-        const playerData = await playerResponse.json();
-        processedCount++;
+      res.set("Access-Control-Allow-Origin", "*");
 
-        // Small delay to avoid rate limiting
-        await new Promise((resolve) => setTimeout(resolve, 100));
+      try {
+        const snapshot = await db.collection("locations").get();
+        const locations = snapshot.docs
+            .map((doc) => {
+              const data = doc.data();
+              return {
+                id: doc.id,
+                name: data.name || doc.id,
+                countryCode: data.countryCode || null,
+                isCountry: Boolean(data.isCountry),
+                totalPlayers: data.totalPlayers || 0,
+              };
+            })
+            .sort((a, b) => {
+              if (a.id === GLOBAL_LOCATION_ID) return -1;
+              if (b.id === GLOBAL_LOCATION_ID) return 1;
+              return a.name.localeCompare(b.name);
+            });
 
-        return {
-          docId: player.docId,
-          tag: player.tag,
-          playerData,
-        };
+        return res.status(200).json({
+          success: true,
+          locations,
+          total: locations.length,
+        });
       } catch (err) {
-        console.warn(`Error fetching player ${player.tag}:`, err.message);
-        skippedCount++;
-        return null;
+        console.error("getLeaderboardLocations failed", err);
+        return res.status(500).json({
+          success: false,
+          error: err instanceof Error ? err.message : "Unknown error",
+        });
       }
-    });
-
-    const deckResults = await Promise.all(deckPromises);
+    },
+);
 
-    // Update Firestore with deck data
-    deckResults.forEach((result) => {
-      if (!result) return;
+// HTTP endpoint returning the card catalog, re-synced from the Clash API
+// when the stored copy is missing or older than a day
+exports.getCards = onRequest(
+    {
+      region: "us-central1",
+      vpcConnector: "serverless-vpc-connector",
+      vpcConnectorEgressSettings: "ALL_TRAFFIC",
+      secrets: [clashApiKey],
+    },
+    async (req, res) => {
+      if (req.method === "OPTIONS") {
+        res.set("Access-Control-Allow-Origin", "*");
+        res.set("Access-Control-Allow-Methods", "GET, OPTIONS");
+        res.set("Access-Control-Allow-Headers", "Content-Type");
+        return res.status(204).send("");
+      }
 
-      const {docId, playerData} = result;
-      const docRef = collectionRef.doc(docId);
+      if (req.method !== "GET") {
+        res.set("Access-Control-Allow-Origin", "*");
+        return res.status(405).send("Method Not Allowed");
+      }
 
-      const deckCards = Array.isArray(playerData.currentDeck) ?
-        playerData.currentDeck.map((card) => ({
-          id: card.id,
-          name: card.name,
-          level: card.level,
-          rarity: card.rarity,
-          iconUrl: card.iconUrls && card.iconUrls.medium ?
-            card.iconUrls.medium :
-            null,
-          evolutionIconUrl: card.iconUrls && card.iconUrls.evolutionMedium ?
-            card.iconUrls.evolutionMedium :
-            null,
-        })) :
-        [];
+      res.set("Access-Control-Allow-Origin", "*");
 
-      batch.set(
-          docRef,
-          {
-            currentDeck: deckCards,
-            deckUpdatedAt: FieldValue.serverTimestamp(),
-            updatedAt: FieldValue.serverTimestamp(),
-          },
-          {merge: true},
-      );
-    });
+      try {
+        const catalogSnap = await db
+            .collection("cardCatalog")
+            .doc("current")
+            .get();
+        let catalog = catalogSnap.exists ? catalogSnap.data() : null;
+        const syncedAt = catalog && catalog.syncedAt ?
+          catalog.syncedAt.toDate() :
+          null;
 
-    await batch.commit();
-    console.log(
-        `Updated decks for ${i + chunk.length} / ${players.length} players`,
-    );
-  }
+        const isOutdated = !syncedAt ||
+          Date.now() - syncedAt.getTime() > CARD_CATALOG_TTL_MS;
+        if (isOutdated) {
+          try {
+            catalog = await syncCardCatalog();
+          } catch (err) {
+            // An outdated catalog is still far better than none
+            if (!catalog) throw err;
+            console.warn("Card catalog sync failed, serving stored copy", err);
+          }
+        }
 
-  const metaRef = db.collection("leaderboards").doc("metadata");
-  await metaRef.set(
-      {
-        lastDeckRefresh: FieldValue.serverTimestamp(),
-        processedPlayers: processedCount,
-        skippedPlayers: skippedCount,
-      },
-      {merge: true},
-  );
+        const catalogSyncedAt = catalog.syncedAt instanceof Date ?
+          catalog.syncedAt :
+          catalog.syncedAt.toDate();
 
-  return {
-    success: true,
-    processedPlayers: processedCount,
-    skippedPlayers: skippedCount,
-  };
-}
+        // Browsers may reuse the catalog for an hour
+        res.set("Cache-Control", "public, max-age=3600");
+        return res.status(200).json({
+          success: true,
+          cards: catalog.cards || [],
+          towerTroops: catalog.towerTroops || [],
+          syncedAt: catalogSyncedAt.toISOString(),
+          total: (catalog.cards || []).length,
+        });
+      } catch (err) {
+        console.error("getCards failed", err);
+        return res.status(500).json({
+          success: false,
+          error: err instanceof Error ? err.message : "Unknown error",
+        });
+      }
+    },
+);
 
-exports.getPlayer = onRequest(
+// HTTP endpoint returning daily card meta snapshots, oldest first
+exports.getCardMetaTrends = onRequest(
     {
       region: "us-central1",
-      vpcConnector: "serverless-vpc-connector",
-      vpcConnectorEgressSettings: "ALL_TRAFFIC",
-      secrets: [clashApiKey],
     },
     async (req, res) => {
       if (req.method === "OPTIONS") {
-        // Handle CORS preflight
         res.set("Access-Control-Allow-Origin", "*");
         res.set("Access-Control-Allow-Methods", "GET, OPTIONS");
         res.set("Access-Control-Allow-Headers", "Content-Type");
@@ -270,58 +2055,68 @@ exports.getPlayer = onRequest(
       }
 
       if (req.method !== "GET") {
+        res.set("Access-Control-Allow-Origin", "*");
         return res.status(405).send("Method Not Allowed");
       }
 
       res.set("Access-Control-Allow-Origin", "*");
 
-      const rawTag = req.query.tag;
-      if (!rawTag) {
-        return res.status(400).json({error: "Missing tag query parameter"});
+      const days = parseOptionalNumber(req.query.days);
+      if (days === undefined ||
+        (days !== null && (!Number.isInteger(days) || days < 1))) {
+        return res.status(400).json({
+          success: false,
+          error: "days must be a positive integer",
+        });
       }
 
-      const trimmed = String(rawTag).trim().toUpperCase();
-      const normalized = trimmed.startsWith("#") ? trimmed : `#${trimmed}`;
-      const encodedTag = encodeURIComponent(normalized);
-
       try {
-        const apiKey = clashApiKey.value();
+        const snapshot = await db
+            .collection("cardMeta")
+            .orderBy("date", "desc")
+            .limit(Math.min(days || 30, MAX_META_DAYS))
+            .get();
 
-        const response = await fetch(
-            `https://api.clashroyale.com/v1/players/${encodedTag}`,
-            {
-              headers: {
-                Authorization: `Bearer ${apiKey}`,
-              },
-            },
-        );
+        const snapshots = snapshot.docs.reverse().map((doc) => {
+          const data = doc.data();
+          return {
+            date: data.date,
+            totalDecks: data.totalDecks,
+            cards: data.cards || {},
+          };
+        });
 
-        if (!response.ok) {
-          const text = await response.text();
-          return res
-              .status(response.status)
-              .json({error: "Clash API error", details: text});
-        }
+        // Pairs are only sent for the latest day to keep the payload small
+        const latestDoc = snapshot.docs[snapshot.docs.length - 1];
+        const latestPairs = latestDoc ? latestDoc.data().pairs || [] : [];
 
-        const data = await response.json();
-        return res.status(200).json(data);
+        return res.status(200).json({
+          success: true,
+          snapshots,
+          latestPairs,
+          total: snapshots.length,
+        });
       } catch (err) {
-        console.error(err);
-        return res.status(500).json({error: "Internal error"});
+        console.error("getCardMetaTrends failed", err);
+        return res.status(500).json({
+          success: false,
+          error: err instanceof Error ? err.message : "Unknown error",
+        });
       }
     },
 );
 
-// HTTP endpoint for fetching top players decks from Firestore
-exports.getTopPlayersDecks = onRequest(
+// HTTP endpoint returning recent refresh runs and data freshness
+exports.getRefreshStatus = onRequest(
     {
       region: "us-central1",
+      secrets: [adminRefreshSecret],
     },
     async (req, res) => {
       if (req.method === "OPTIONS") {
         res.set("Access-Control-Allow-Origin", "*");
         res.set("Access-Control-Allow-Methods", "GET, OPTIONS");
-        res.set("Access-Control-Allow-Headers", "Content-Type");
+        res.set("Access-Control-Allow-Headers", ADMIN_ALLOWED_HEADERS);
         return res.status(204).send("");
       }
 
@@ -332,48 +2127,164 @@ exports.getTopPlayersDecks = onRequest(
 
       res.set("Access-Control-Allow-Origin", "*");
 
-      try {
-        const collectionRef = db.collection("topPlayers");
-        const snapshot = await collectionRef.orderBy("rank").get();
+      // Runs name the admin who triggered them and the failed player tags
+      const actor = await requireAdmin(req, res, "getRefreshStatus");
+      if (!actor) return;
 
-        const decks = [];
+      const limit = parseOptionalNumber(req.query.limit);
+      if (limit === undefined ||
+        (limit !== null && (!Number.isInteger(limit) || limit < 1))) {
+        return res.status(400).json({
+          success: false,
+          error: "limit must be a positive integer",
+        });
+      }
 
-        snapshot.forEach((doc) => {
-          const data = doc.data();
-          const currentDeck = data.currentDeck;
+      const job = req.query.job ? String(req.query.job) : null;
+      if (job && !REFRESH_JOBS.includes(job)) {
+        return res.status(400).json({
+          success: false,
+          error: `job must be one of: ${REFRESH_JOBS.join(", ")}`,
+        });
+      }
 
-          // Only include players with valid decks (8 cards)
-          if (
-            Array.isArray(currentDeck) &&
-            currentDeck.length === 8 &&
-            data.name &&
-            data.rank !== null &&
-            data.rank !== undefined
-          ) {
-            // Transform Firestore data to deck format
-            const deck = {
-              id: `player-${data.tag}`,
-              name: `${data.name} (Rank #${data.rank})`,
-              cards: currentDeck.map((card) => ({
-                id: card.id,
-                name: card.name,
-                image: card.iconUrl || "",
-                evolutionImage: card.evolutionIconUrl || null,
-                level: card.level || 1,
-                rarity: card.rarity,
-              })),
-            };
-            decks.push(deck);
+      try {
+        let query = db.collection("refreshRuns");
+        if (job) {
+          query = query.where("job", "==", job);
+        }
+        const [runsSnap, metaSnap, latestMetaSnap] = await Promise.all([
+          query
+              .orderBy("startedAt", "desc")
+              .limit(Math.min(limit || 20, MAX_REFRESH_RUNS_PAGE_SIZE))
+              .get(),
+          db.collection("leaderboards").doc("metadata").get(),
+          db.collection("cardMeta").orderBy("date", "desc").limit(1).get(),
+        ]);
+
+        // Runs killed by the function timeout never record their outcome,
+        // so they are marked failed once they are past it
+        const staleBatch = db.batch();
+        let staleCount = 0;
+        const runs = runsSnap.docs.map((doc) => {
+          const data = {...doc.data()};
+          const startedAt = data.startedAt && data.startedAt.toMillis ?
+            data.startedAt.toMillis() :
+            null;
+          if (data.status === "running" && startedAt !== null &&
+            Date.now() - startedAt > REFRESH_RUN_STALE_MS) {
+            data.status = "failed";
+            data.error = "Timed out without recording a result";
+            staleBatch.update(doc.ref, {
+              status: data.status,
+              error: data.error,
+            });
+            staleCount++;
           }
+
+          return {
+            id: doc.id,
+            job: data.job,
+            trigger: data.trigger,
+            triggeredBy: data.triggeredBy || null,
+            status: data.status,
+            startedAt: toIsoString(data.startedAt),
+            finishedAt: toIsoString(data.finishedAt),
+            durationMs: typeof data.durationMs === "number" ?
+              data.durationMs :
+              null,
+            totalPlayers: data.totalPlayers || 0,
+            processedPlayers: data.processedPlayers || 0,
+            skippedPlayers: data.skippedPlayers || 0,
+            failureCount: data.failureCount || 0,
+            failures: data.failures || [],
+            checkpointRunId: data.checkpointRunId || null,
+            resumed: Boolean(data.resumed),
+            error: data.error || null,
+          };
         });
 
+        if (staleCount) {
+          await staleBatch.commit();
+        }
+
+        const meta = metaSnap.exists ? metaSnap.data() : {};
+        const deckRefresh = meta.deckRefresh || null;
+        const latestMeta = latestMetaSnap.docs[0];
+
         return res.status(200).json({
           success: true,
-          decks,
-          total: decks.length,
+          runs,
+          freshness: {
+            lastLeaderboardRefresh: toIsoString(meta.lastLeaderboardRefresh),
+            lastDeckRefresh: toIsoString(meta.lastDeckRefresh),
+            lastBattleLogRefresh: toIsoString(meta.lastBattleLogRefresh),
+            latestCardMetaDate: latestMeta ? latestMeta.data().date : null,
+            totalPlayers: meta.totalPlayers || 0,
+            deckRefresh: deckRefresh ?
+              {
+                runId: deckRefresh.runId,
+                status: deckRefresh.status,
+                totalPlayers: deckRefresh.totalPlayers || 0,
+                lastProcessedIndex: deckRefresh.lastProcessedIndex,
+                processedPlayers: deckRefresh.processedPlayers || 0,
+                skippedPlayers: deckRefresh.skippedPlayers || 0,
+                failureReason: deckRefresh.failureReason || null,
+                startedAt: toIsoString(deckRefresh.startedAt),
+                updatedAt: toIsoString(deckRefresh.updatedAt),
+              } :
+              null,
+          },
         });
       } catch (err) {
-        console.error("getTopPlayersDecks failed", err);
+        console.error("getRefreshStatus failed", err);
+        return res.status(500).json({
+          success: false,
+          error: err instanceof Error ? err.message : "Unknown error",
+        });
+      }
+    },
+);
+
+// HTTP endpoint for manually triggering a card meta snapshot
+exports.refreshCardMeta = onRequest(
+    {
+      region: "us-central1",
+      timeoutSeconds: REFRESH_TIMEOUT_SECONDS,
+      secrets: [adminRefreshSecret],
+    },
+    async (req, res) => {
+      if (req.method === "OPTIONS") {
+        res.set("Access-Control-Allow-Origin", "*");
+        res.set("Access-Control-Allow-Methods", "POST, OPTIONS");
+        res.set("Access-Control-Allow-Headers", ADMIN_ALLOWED_HEADERS);
+        return res.status(204).send("");
+      }
+
+      if (req.method !== "POST") {
+        res.set("Access-Control-Allow-Origin", "*");
+        return res.status(405).send("Method Not Allowed");
+      }
+
+      res.set("Access-Control-Allow-Origin", "*");
+
+      const actor = await requireAdmin(req, res, "refreshCardMeta");
+      if (!actor) return;
+
+      try {
+        const result = await recordRefreshRun(
+            "cardMeta",
+            "http",
+            refreshCardMeta,
+            actor,
+        );
+        return res.status(200).json({
+          success: true,
+          message: "Card meta refreshed successfully",
+          ...result,
+        });
+      } catch (err) {
+        console.error("refreshCardMeta failed", err);
         return res.status(500).json({
           success: false,
           error: err instanceof Error ? err.message : "Unknown error",
@@ -386,15 +2297,16 @@ exports.getTopPlayersDecks = onRequest(
 exports.refreshTopPlayersLeaderboard = onRequest(
     {
       region: "us-central1",
+      timeoutSeconds: REFRESH_TIMEOUT_SECONDS,
       vpcConnector: "serverless-vpc-connector",
       vpcConnectorEgressSettings: "ALL_TRAFFIC",
-      secrets: [clashApiKey],
+      secrets: [clashApiKey, adminRefreshSecret],
     },
     async (req, res) => {
       if (req.method === "OPTIONS") {
         res.set("Access-Control-Allow-Origin", "*");
         res.set("Access-Control-Allow-Methods", "POST, OPTIONS");
-        res.set("Access-Control-Allow-Headers", "Content-Type");
+        res.set("Access-Control-Allow-Headers", ADMIN_ALLOWED_HEADERS);
         return res.status(204).send("");
       }
 
@@ -405,8 +2317,20 @@ exports.refreshTopPlayersLeaderboard = onRequest(
 
       res.set("Access-Control-Allow-Origin", "*");
 
+      const actor = await requireAdmin(
+          req,
+          res,
+          "refreshTopPlayersLeaderboard",
+      );
+      if (!actor) return;
+
       try {
-        const result = await refreshTopPlayersLeaderboard();
+        const result = await recordRefreshRun(
+            "leaderboard",
+            "http",
+            refreshTopPlayersLeaderboard,
+            actor,
+        );
         return res.status(200).json({
           success: true,
           message: "Leaderboard refreshed successfully",
@@ -426,15 +2350,16 @@ exports.refreshTopPlayersLeaderboard = onRequest(
 exports.refreshTopPlayersDecks = onRequest(
     {
       region: "us-central1",
+      timeoutSeconds: REFRESH_TIMEOUT_SECONDS,
       vpcConnector: "serverless-vpc-connector",
       vpcConnectorEgressSettings: "ALL_TRAFFIC",
-      secrets: [clashApiKey],
+      secrets: [clashApiKey, adminRefreshSecret],
     },
     async (req, res) => {
       if (req.method === "OPTIONS") {
         res.set("Access-Control-Allow-Origin", "*");
         res.set("Access-Control-Allow-Methods", "POST, OPTIONS");
-        res.set("Access-Control-Allow-Headers", "Content-Type");
+        res.set("Access-Control-Allow-Headers", ADMIN_ALLOWED_HEADERS);
         return res.status(204).send("");
       }
 
@@ -445,8 +2370,20 @@ exports.refreshTopPlayersDecks = onRequest(
 
       res.set("Access-Control-Allow-Origin", "*");
 
+      const actor = await requireAdmin(req, res, "refreshTopPlayersDecks");
+      if (!actor) return;
+
+      // `restart=true` (query or JSON body) abandons an unfinished run
+      const restart = req.query.restart === "true" ||
+        Boolean(req.body && req.body.restart === true);
+
       try {
-        const result = await refreshTopPlayersDecks();
+        const result = await recordRefreshRun(
+            "decks",
+            "http",
+            () => refreshTopPlayersDecks({restart}),
+            actor,
+        );
         return res.status(200).json({
           success: true,
           message: "Decks refreshed successfully",
@@ -454,6 +2391,58 @@ exports.refreshTopPlayersDecks = onRequest(
         });
       } catch (err) {
         console.error("refreshTopPlayersDecks failed", err);
+        if (err.code === "REFRESH_IN_PROGRESS") {
+          return res.status(409).json({success: false, error: err.message});
+        }
+        return res.status(500).json({
+          success: false,
+          error: err instanceof Error ? err.message : "Unknown error",
+        });
+      }
+    },
+);
+
+// HTTP endpoint for manually triggering battle log ingestion
+exports.refreshTopPlayersBattleLogs = onRequest(
+    {
+      region: "us-central1",
+      timeoutSeconds: REFRESH_TIMEOUT_SECONDS,
+      vpcConnector: "serverless-vpc-connector",
+      vpcConnectorEgressSettings: "ALL_TRAFFIC",
+      secrets: [clashApiKey, adminRefreshSecret],
+    },
+    async (req, res) => {
+      if (req.method === "OPTIONS") {
+        res.set("Access-Control-Allow-Origin", "*");
+        res.set("Access-Control-Allow-Methods", "POST, OPTIONS");
+        res.set("Access-Control-Allow-Headers", ADMIN_ALLOWED_HEADERS);
+        return res.status(204).send("");
+      }
+
+      if (req.method !== "POST") {
+        res.set("Access-Control-Allow-Origin", "*");
+        return res.status(405).send("Method Not Allowed");
+      }
+
+      res.set("Access-Control-Allow-Origin", "*");
+
+      const actor = await requireAdmin(req, res, "refreshTopPlayersBattleLogs");
+      if (!actor) return;
+
+      try {
+        const result = await recordRefreshRun(
+            "battleLogs",
+            "http",
+            refreshTopPlayersBattleLogs,
+            actor,
+        );
+        return res.status(200).json({
+          success: true,
+          message: "Battle logs refreshed successfully",
+          ...result,
+        });
+      } catch (err) {
+        console.error("refreshTopPlayersBattleLogs failed", err);
         return res.status(500).json({
           success: false,
           error: err instanceof Error ? err.message : "Unknown error",
@@ -466,6 +2455,7 @@ exports.refreshTopPlayersDecks = onRequest(
 exports.refreshTopPlayersLeaderboardScheduled = onSchedule(
     {
       region: "us-central1",
+      timeoutSeconds: REFRESH_TIMEOUT_SECONDS,
       schedule: "0 0 1 * *",
       timeZone: "Etc/UTC",
       vpcConnector: "serverless-vpc-connector",
@@ -474,7 +2464,11 @@ exports.refreshTopPlayersLeaderboardScheduled = onSchedule(
     },
     async () => {
       try {
-        await refreshTopPlayersLeaderboard();
+        await recordRefreshRun(
+            "leaderboard",
+            "schedule",
+            refreshTopPlayersLeaderboard,
+        );
         console.log("Scheduled leaderboard refresh completed");
       } catch (err) {
         console.error("refreshTopPlayersLeaderboardScheduled failed", err);
@@ -486,6 +2480,7 @@ exports.refreshTopPlayersLeaderboardScheduled = onSchedule(
 exports.refreshTopPlayersDecksScheduled = onSchedule(
     {
       region: "us-central1",
+      timeoutSeconds: REFRESH_TIMEOUT_SECONDS,
       schedule: "0 0 */3 * *",
       timeZone: "Etc/UTC",
       vpcConnector: "serverless-vpc-connector",
@@ -494,7 +2489,7 @@ exports.refreshTopPlayersDecksScheduled = onSchedule(
     },
     async () => {
       try {
-        await refreshTopPlayersDecks();
+        await recordRefreshRun("decks", "schedule", refreshTopPlayersDecks);
         console.log("Scheduled deck refresh completed");
       } catch (err) {
         console.error("refreshTopPlayersDecksScheduled failed", err);
@@ -502,4 +2497,45 @@ exports.refreshTopPlayersDecksScheduled = onSchedule(
     },
 );
 
+// Scheduled battle log ingestion - runs daily at 12:00 UTC
+exports.refreshTopPlayersBattleLogsScheduled = onSchedule(
+    {
+      region: "us-central1",
+      timeoutSeconds: REFRESH_TIMEOUT_SECONDS,
+      schedule: "0 12 * * *",
+      timeZone: "Etc/UTC",
+      vpcConnector: "serverless-vpc-connector",
+      vpcConnectorEgressSettings: "ALL_TRAFFIC",
+      secrets: [clashApiKey],
+    },
+    async () => {
+      try {
+        await recordRefreshRun(
+            "battleLogs",
+            "schedule",
+            refreshTopPlayersBattleLogs,
+        );
+        console.log("Scheduled battle log refresh completed");
+      } catch (err) {
+        console.error("refreshTopPlayersBattleLogsScheduled failed", err);
+      }
+    },
+);
 
+// Scheduled card meta snapshot - runs daily at 01:00 UTC
+exports.refreshCardMetaScheduled = onSchedule(
+    {
+      region: "us-central1",
+      timeoutSeconds: REFRESH_TIMEOUT_SECONDS,
+      schedule: "0 1 * * *",
+      timeZone: "Etc/UTC",
+    },
+    async () => {
+      try {
+        await recordRefreshRun("cardMeta", "schedule", refreshCardMeta);
+        console.log("Scheduled card meta refresh completed");
+      } catch (err) {
+        console.error("refreshCardMetaScheduled failed", err);
+      }
+    },
+);
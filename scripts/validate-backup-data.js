@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Validate src/data/card_backups.json and src/data/card_roles.json against
+ * the card catalog. Exits with status 1 when there are errors (unknown or
+ * duplicate card names, self-referencing backups, bad stars); warnings are
+ * printed but do not fail.
+ *
+ * Card names must match the catalog exactly, including case. By default the
+ * catalog is fetched from the deployed getCards function, so the script
+ * needs network access; offline (e.g. in CI without outbound access) pass a
+ * saved getCards response with --cards.
+ *
+ * Usage:
+ *   npm run validate:data
+ *   npm run validate:data -- --cards cards.json   (saved getCards response)
+ *   npm run validate:data -- --warnings           (print every warning)
+ */
+
+import { readFile } from 'node:fs/promises'
+import { dirname, resolve } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { validateBackupData } from '../src/utils/backupDataValidator.js'
+
+const CARD_CATALOG_URL = 'https://us-central1-clash-cache.cloudfunctions.net/getCards'
+const DATA_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '../src/data')
+
+async function readJson(path) {
+  return JSON.parse(await readFile(path, 'utf8'))
+}
+
+// A saved getCards response, or a plain array of cards or names
+async function loadCardNames(cardsPath) {
+  let data
+  if (cardsPath) {
+    data = await readJson(resolve(cardsPath))
+  } else {
+    const response = await fetch(CARD_CATALOG_URL).catch((error) => {
+      throw new Error(
+        `could not reach getCards (${error.message}); pass --cards <file> to run offline`,
+      )
+    })
+    if (!response.ok) throw new Error(`getCards failed with status ${response.status}`)
+    data = await response.json()
+  }
+
+  const cards = Array.isArray(data) ? data : data?.cards
+  if (!Array.isArray(cards) || !cards.length) throw new Error('Card list is empty')
+  return cards.map((card) => String(typeof card === 'string' ? card : card?.name || '').trim())
+}
+
+async function main() {
+  const args = process.argv.slice(2)
+  const cardsFlag = args.indexOf('--cards')
+  const cardsPath = cardsFlag !== -1 ? args[cardsFlag + 1] : null
+  const showWarnings = args.includes('--warnings')
+
+  const [backups, roles, cardNames] = await Promise.all([
+    readJson(resolve(DATA_DIR, 'card_backups.json')),
+    readJson(resolve(DATA_DIR, 'card_roles.json')),
+    loadCardNames(cardsPath),
+  ])
+
+  const { errors, warnings } = validateBackupData({ backups, roles }, cardNames)
+
+  errors.forEach((issue) => console.error(`error    ${issue.path}: ${issue.message}`))
+  if (showWarnings) {
+    warnings.forEach((issue) => console.warn(`warning  ${issue.path}: ${issue.message}`))
+  }
+
+  console.log(
+    `${errors.length} error(s), ${warnings.length} warning(s) across ` +
+      `${backups.length} backup entries and ${Object.keys(roles).length} roles ` +
+      `(${cardNames.length} known cards)`,
+  )
+
+  process.exitCode = errors.length ? 1 : 0
+}
+
+main().catch((error) => {
+  console.error(`Validation could not run: ${error.message}`)
+  process.exitCode = 1
+})
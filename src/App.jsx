@@ -11,6 +11,12 @@ import FriendsRanks from './pages/leaderboards/FriendsRanks'
 import Explore from './pages/decks/Explore'
 import Build from './pages/decks/Build'
 import Cache from './pages/decks/Cache'
+import Upgrades from './pages/decks/Upgrades'
+import Meta from './pages/Meta'
+import Admin from './pages/Admin'
+import RefreshStatus from './pages/admin/RefreshStatus'
+import BackupSimilarity from './pages/admin/BackupSimilarity'
+import BackupEditor from './pages/admin/BackupEditor'
 
 function App() {
   return (
@@ -27,12 +33,20 @@ function App() {
             <Route path="explore" element={<Explore />} />
             <Route path="build" element={<Build />} />
             <Route path="cache" element={<Cache />} />
+            <Route path="upgrades" element={<Upgrades />} />
           </Route>
+          <Route path="/meta" element={<Meta />} />
           <Route path="/leaderboards" element={<Leaderboards />}>
             <Route index element={<GlobalRanks />} />
             <Route path="global" element={<GlobalRanks />} />
             <Route path="friends" element={<FriendsRanks />} />
           </Route>
+          <Route path="/admin" element={<Admin />}>
+            <Route index element={<RefreshStatus />} />
+            <Route path="refresh" element={<RefreshStatus />} />
+            <Route path="similarity" element={<BackupSimilarity />} />
+            <Route path="backups" element={<BackupEditor />} />
+          </Route>
         </Routes>
       </Container>
     </>
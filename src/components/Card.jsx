@@ -13,7 +13,7 @@ const RARITY_LEVEL_BONUS = {
   champion: 10,
 }
 
-function Card({ id, image, level, name, rarity, hideLevel, onClick, variant, isReplaced }) {
+function Card({ id, image, level, name, rarity, owned, hideLevel, onClick, variant, isReplaced }) {
   const handleClick = () => {
     if (typeof onClick === 'function') {
       onClick({ id, image, level, name, rarity })
@@ -21,10 +21,12 @@ function Card({ id, image, level, name, rarity, hideLevel, onClick, variant, isR
   }
 
   const displayName = name || 'Unknown Card'
-  const baseLevel = Number.isFinite(level) ? level : 1
+  // Unowned cards have no level to show; never invent one from the rarity
+  const isOwned = owned && Number.isFinite(level)
   const rarityKey = typeof rarity === 'string' ? rarity.toLowerCase() : undefined
   const rarityBonus = RARITY_LEVEL_BONUS[rarityKey] ?? 0
-  const displayLevel = Math.max(1, baseLevel + rarityBonus)
+  const displayLevel = isOwned ? Math.max(1, level + rarityBonus) : null
+  const levelLabel = isOwned ? `level ${displayLevel}` : 'not owned'
   
   const classNames = [
     styles.cardRoot,
@@ -38,7 +40,7 @@ function Card({ id, image, level, name, rarity, hideLevel, onClick, variant, isR
       type="button"
       className={classNames}
       onClick={handleClick}
-      aria-label={hideLevel ? displayName : `${displayName}, level ${displayLevel}`}
+      aria-label={hideLevel ? displayName : `${displayName}, ${levelLabel}`}
     >
       <span className={styles.srOnly}>{displayName}</span>
       <div className={styles.imageWrapper}>
@@ -51,7 +53,11 @@ function Card({ id, image, level, name, rarity, hideLevel, onClick, variant, isR
         <div className={styles.overlay} />
       </div>
       <div className={styles.content}>
-        {!hideLevel && <span className={styles.levelBadge}>Lv. {displayLevel}</span>}
+        {!hideLevel && (isOwned ? (
+          <span className={styles.levelBadge}>Lv. {displayLevel}</span>
+        ) : (
+          <span className={`${styles.levelBadge} ${styles.levelBadgeUnowned}`}>Not owned</span>
+        ))}
       </div>
     </button>
   )
@@ -63,6 +69,7 @@ Card.propTypes = {
   level: PropTypes.number,
   name: PropTypes.string,
   rarity: PropTypes.string,
+  owned: PropTypes.bool,
   hideLevel: PropTypes.bool,
   onClick: PropTypes.func,
   variant: PropTypes.oneOf(['default', 'optimized', 'large']),
@@ -71,9 +78,10 @@ Card.propTypes = {
 
 Card.defaultProps = {
   image: undefined,
-  level: 1,
+  level: undefined,
   name: 'Unknown Card',
   rarity: undefined,
+  owned: true,
   hideLevel: false,
   onClick: undefined,
   variant: 'default',
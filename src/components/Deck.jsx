@@ -1,5 +1,7 @@
 import PropTypes from 'prop-types'
 import Card from './Card'
+import { useCardCatalog } from '../state/CardCatalogContext'
+import { EVOLUTION_SLOT_INDICES, HERO_SLOT_INDICES } from '../utils/deckSlots'
 import styles from './Deck.module.css'
 import GiantHeroArt from '../assets/Giant_Hero_card_gem.png'
 import MusketeerHeroArt from '../assets/Musketeer_Hero_card_gem.png'
@@ -13,10 +15,13 @@ const HERO_ART_BY_NAME = {
   'Mini P.E.K.K.A': MiniPekkaHeroArt,
 }
 
-const HERO_SLOT_INDICES = new Set([2, 3])
-
 function Deck({ title, cards, hideLevel, onCardClick, variant, replacedCardIndices }) {
-  const safeCards = Array.isArray(cards) ? cards.slice(0, 8) : []
+  const { catalog } = useCardCatalog()
+  // Saved or partial card data (e.g. older cached decks) may lack icons or
+  // rarity; the catalog fills those in
+  const safeCards = Array.isArray(cards)
+    ? cards.slice(0, 8).map((card) => (card ? catalog.toDisplayCard(card) : card))
+    : []
 
   const paddedCards =
     safeCards.length < 8
@@ -55,17 +60,18 @@ function Deck({ title, cards, hideLevel, onCardClick, variant, replacedCardIndic
             )
           }
 
-          const { id, image, evolutionImage, level, name, rarity } = card
+          const { id, image, evolutionImage, evolutionLevel, level, name, rarity, owned } = card
 
           const heroArt =
             HERO_SLOT_INDICES.has(index) && typeof name === 'string'
               ? HERO_ART_BY_NAME[name]
               : undefined
 
-          // Prefer hero art for top-right slots, then evolution art for slots 0/1
+          // Prefer hero art for hero slots, then evolution art for evolution
+          // slots unless the card is known not to be evolved
           const displayImage = heroArt
             ? heroArt
-            : (index === 0 || index === 1) && evolutionImage
+            : EVOLUTION_SLOT_INDICES.has(index) && evolutionImage && evolutionLevel !== 0
               ? evolutionImage
               : image
 
@@ -79,6 +85,7 @@ function Deck({ title, cards, hideLevel, onCardClick, variant, replacedCardIndic
                 level={level}
                 name={name}
                 rarity={rarity}
+                owned={owned !== false}
                 hideLevel={hideLevel}
                 onClick={handleCardClick}
                 variant={variant}
@@ -96,7 +103,9 @@ const cardShape = PropTypes.shape({
   id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
   image: PropTypes.string,
   evolutionImage: PropTypes.string,
+  evolutionLevel: PropTypes.number,
   level: PropTypes.number,
+  owned: PropTypes.bool,
   name: PropTypes.string,
 })
 
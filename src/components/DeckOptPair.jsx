@@ -1,6 +1,10 @@
+import { useState } from 'react'
 import PropTypes from 'prop-types'
 import { FaBoxOpen } from 'react-icons/fa6'
 import Deck from './Deck'
+import DeckWarnings from './DeckWarnings'
+import UpgradeCostPanel from './UpgradeCostPanel'
+import { computeElixirStats, formatElixir } from '../utils/deckElixir'
 import styles from './DeckOptPair.module.css'
 
 const deckShape = PropTypes.shape({
@@ -11,6 +15,16 @@ const deckShape = PropTypes.shape({
     name: PropTypes.string,
   }),
   cards: PropTypes.arrayOf(PropTypes.object),
+  alternatives: PropTypes.arrayOf(
+    PropTypes.shape({
+      cards: PropTypes.arrayOf(PropTypes.object),
+      optimizationScore: PropTypes.number,
+      replacements: PropTypes.arrayOf(PropTypes.object),
+    }),
+  ),
+  gamesPlayed: PropTypes.number,
+  winRate: PropTypes.number,
+  usageCount: PropTypes.number,
 })
 
 const TT_PARAM = '159000000'
@@ -101,6 +115,13 @@ function resolveOwnerName(deck) {
   )
 }
 
+function formatElixirLabel(cards) {
+  const { averageElixir, cycleCost } = computeElixirStats(cards)
+  if (averageElixir === null) return null
+  const cycleLabel = cycleCost !== null ? ` · ${cycleCost} cycle` : ''
+  return `${formatElixir(averageElixir)} avg elixir${cycleLabel}`
+}
+
 /**
  * Convert optimization score (out of 8) to a 5-star rating with half stars
  * @param {number} score - Score out of 8
@@ -200,27 +221,64 @@ function DeckOptPair({
     (ownerName && ownerName !== 'Unknown battler') 
       ? ownerName 
       : originalOwner
+  const [alternativeIndex, setAlternativeIndex] = useState(0)
   const showOptimized = Boolean(optimizedDeck && Array.isArray(optimizedDeck.cards))
+
+  // The optimizer's best deck first, then its next-best alternatives
+  const optimizedOptions = showOptimized
+    ? [optimizedDeck, ...(optimizedDeck.alternatives ?? []).filter((option) => Array.isArray(option?.cards))]
+    : []
+  const activeIndex = Math.min(alternativeIndex, Math.max(optimizedOptions.length - 1, 0))
+  const activeOption = optimizedOptions[activeIndex] ?? null
+  const activeScore =
+    activeIndex === 0 ? optimizationScore : activeOption?.optimizationScore ?? null
+  const activeReplacements = (activeOption?.replacements ?? []).filter(
+    (replacement) => replacement.wasReplaced || replacement.missingEvolution,
+  )
+
+  const showPreviousOption = () =>
+    setAlternativeIndex((activeIndex - 1 + optimizedOptions.length) % optimizedOptions.length)
+  const showNextOption = () => setAlternativeIndex((activeIndex + 1) % optimizedOptions.length)
   
   // Calculate star rating from optimization score
-  const starRating = typeof optimizationScore === 'number' 
-    ? scoreToStars(optimizationScore) 
+  const starRating = typeof activeScore === 'number' 
+    ? scoreToStars(activeScore) 
     : null
   const handleAction = () => {
     if (isSaved && onRemove) {
       onRemove()
     } else if (!isSaved && onSave) {
-      onSave()
+      // Save the option on screen, which may be one of the alternatives
+      onSave(activeOption, activeScore)
     }
   }
 
   const originalDeckLink = buildDeckLink(originalDeck)
-  const optimizedDeckLink = showOptimized ? buildDeckLink(optimizedDeck) : null
-
-  // Identify which cards were replaced in the optimized deck
-  const replacedCardIndices = showOptimized
-    ? identifyReplacedCards(originalDeck?.cards ?? [], optimizedDeck.cards)
-    : new Set()
+  const optimizedDeckLink = activeOption ? buildDeckLink(activeOption) : null
+
+  // Identify which cards were replaced in the optimized deck. The optimizer
+  // reports where each replacement ended up, since slot rules can move cards
+  const replacedCardIndices = !activeOption
+    ? new Set()
+    : activeOption.replacements?.every((replacement) => Number.isInteger(replacement.position))
+      ? new Set(
+          activeOption.replacements
+            .filter((replacement) => replacement.wasReplaced)
+            .map((replacement) => replacement.position),
+        )
+      : identifyReplacedCards(originalDeck?.cards ?? [], activeOption.cards)
+
+  const originalElixirLabel = formatElixirLabel(originalDeck?.cards)
+  const optimizedElixirLabel = activeOption ? formatElixirLabel(activeOption.cards) : null
+
+  const gamesPlayed = Number(originalDeck?.gamesPlayed)
+  const winRateLabel =
+    Number.isFinite(gamesPlayed) && gamesPlayed > 0 && typeof originalDeck?.winRate === 'number'
+      ? `${Math.round(originalDeck.winRate * 100)}% win rate (${gamesPlayed} ${gamesPlayed === 1 ? 'game' : 'games'})`
+      : null
+  const usageCount = Number(originalDeck?.usageCount)
+  const usageLabel =
+    Number.isFinite(usageCount) && usageCount > 1 ? `Played by ${usageCount} top players` : null
 
   const actionLabel = isSaved ? 'Remove from cache' : 'Save to cache'
   const actionDisabled = (!isSaved && !onSave) || (isSaved && !onRemove)
@@ -230,7 +288,11 @@ function DeckOptPair({
       <div className={styles.deckArea}>
         <section className={styles.deckColumn} aria-label="Leaderboard deck">
           <span className={styles.deckLabel}>Leaderboard deck</span>
+          {originalElixirLabel && (
+            <span className={styles.elixirLabel}>{originalElixirLabel}</span>
+          )}
           <Deck title={null} cards={originalDeck?.cards ?? []} hideLevel />
+          <DeckWarnings cards={originalDeck?.cards ?? []} />
           {originalDeckLink ? (
             <a
               className={styles.deckLink}
@@ -241,16 +303,66 @@ function DeckOptPair({
               Open in Clash Royale
             </a>
           ) : null}
+          <UpgradeCostPanel cards={originalDeck?.cards ?? []} title="Cost to play as-is" />
         </section>
         {showOptimized ? (
           <section className={styles.deckColumn} aria-label="Optimized deck">
-            <span className={styles.deckLabel}>Optimized for you</span>
+            <span className={styles.deckLabel}>
+              {activeIndex === 0 ? 'Optimized for you' : `Alternative ${activeIndex}`}
+            </span>
+            {optimizedElixirLabel && (
+              <span className={styles.elixirLabel}>{optimizedElixirLabel}</span>
+            )}
             <Deck 
               title={null} 
-              cards={optimizedDeck.cards} 
+              cards={activeOption.cards} 
               variant="optimized"
               replacedCardIndices={replacedCardIndices}
             />
+            <DeckWarnings cards={activeOption.cards} />
+            {optimizedOptions.length > 1 ? (
+              <div className={styles.alternativeSwitcher}>
+                <button
+                  type="button"
+                  className={styles.alternativeButton}
+                  onClick={showPreviousOption}
+                  aria-label="Previous alternative"
+                >
+                  ‹
+                </button>
+                <span className={styles.alternativeLabel}>
+                  Option {activeIndex + 1} of {optimizedOptions.length}
+                </span>
+                <button
+                  type="button"
+                  className={styles.alternativeButton}
+                  onClick={showNextOption}
+                  aria-label="Next alternative"
+                >
+                  ›
+                </button>
+              </div>
+            ) : null}
+            {activeReplacements.length > 0 ? (
+              <details className={styles.replacementDetails}>
+                <summary>
+                  {activeReplacements.length}{' '}
+                  {activeReplacements.length === 1 ? 'change' : 'changes'}
+                </summary>
+                <ul className={styles.replacementList}>
+                  {activeReplacements.map((replacement) => (
+                    <li key={replacement.slot}>
+                      <strong>
+                        {replacement.wasReplaced
+                          ? `${replacement.originalCard} → ${replacement.replacementCard}`
+                          : replacement.originalCard}
+                      </strong>
+                      : {replacement.reason}
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            ) : null}
             {optimizedDeckLink ? (
               <a
                 className={styles.deckLink}
@@ -272,6 +384,16 @@ function DeckOptPair({
               {resolvedOwner}
             </span>
           )}
+          {winRateLabel && (
+            <span className={styles.score} aria-label="Leaderboard deck win rate">
+              {winRateLabel}
+            </span>
+          )}
+          {usageLabel && (
+            <span className={styles.score} aria-label="Leaderboard deck usage">
+              {usageLabel}
+            </span>
+          )}
           {starRating !== null ? (
             <span className={styles.score} aria-label="Optimization rating">
               <span className={styles.scoreLabel}>Optimization Rating:</span>
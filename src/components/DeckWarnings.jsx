@@ -0,0 +1,49 @@
+import { useMemo } from 'react'
+import PropTypes from 'prop-types'
+import { useCardCatalog } from '../state/CardCatalogContext.jsx'
+import { validateDeck } from '../services/deckValidator'
+import styles from './DeckWarnings.module.css'
+
+const SEVERITY_ICONS = {
+  error: '⛔',
+  warning: '⚠',
+  info: 'ℹ',
+}
+
+/**
+ * Badges for the problems deckValidator finds in a deck (no air defense,
+ * several win conditions, heavy elixir...). Hover a badge for the details.
+ * Renders nothing when the deck looks fine.
+ */
+function DeckWarnings({ cards, className }) {
+  const { catalog } = useCardCatalog()
+  const warnings = useMemo(() => validateDeck(cards, { cardCatalog: catalog }), [cards, catalog])
+
+  if (!warnings.length) return null
+
+  return (
+    <ul className={[styles.badgeList, className].filter(Boolean).join(' ')} aria-label="Deck warnings">
+      {warnings.map((warning) => (
+        <li
+          key={`${warning.code}-${warning.message}`}
+          className={`${styles.badge} ${styles[warning.severity]}`}
+          title={warning.message}
+        >
+          <span aria-hidden="true">{SEVERITY_ICONS[warning.severity]}</span> {warning.label}
+          <span className="visually-hidden">: {warning.message}</span>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+DeckWarnings.propTypes = {
+  cards: PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.object, PropTypes.string])).isRequired,
+  className: PropTypes.string,
+}
+
+DeckWarnings.defaultProps = {
+  className: undefined,
+}
+
+export default DeckWarnings
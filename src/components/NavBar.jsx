@@ -8,12 +8,13 @@ import {
 } from 'react'
 import { useLocation, useNavigate } from 'react-router-dom'
 import PropTypes from 'prop-types'
-import { FaHome, FaTrophy, FaLayerGroup, FaCode } from 'react-icons/fa'
+import { FaHome, FaTrophy, FaLayerGroup, FaCode, FaChartLine } from 'react-icons/fa'
 import styles from './NavBar.module.css'
 
 const DEFAULT_LINKS = [
   { label: 'Home', path: '/', icon: FaHome },
   { label: 'Decks', path: '/decks', icon: FaLayerGroup },
+  { label: 'Meta', path: '/meta', icon: FaChartLine },
   { label: 'Ranks', path: '/leaderboards', icon: FaTrophy },
 ]
 
@@ -0,0 +1,133 @@
+import PropTypes from 'prop-types'
+import styles from './TrendChart.module.css'
+
+const VIEW_WIDTH = 600
+const VIEW_HEIGHT = 240
+const PADDING = { top: 12, right: 12, bottom: 28, left: 44 }
+const GRID_STEPS = 4
+
+/**
+ * Format a 0-1 rate as a whole percentage for axis labels
+ */
+function formatPercent(value) {
+  return `${Math.round(value * 100)}%`
+}
+
+/**
+ * Lightweight SVG line chart for rate series sharing the same x labels.
+ * Each series provides one value per label (null for missing days).
+ */
+function TrendChart({ labels, series, ariaLabel }) {
+  const plotWidth = VIEW_WIDTH - PADDING.left - PADDING.right
+  const plotHeight = VIEW_HEIGHT - PADDING.top - PADDING.bottom
+
+  const maxValue = Math.max(
+    0.01,
+    ...series.flatMap((line) => line.values.filter((value) => typeof value === 'number')),
+  )
+  // Round the axis up to the next 5% so gridlines land on readable values
+  const yMax = Math.ceil(maxValue * 20) / 20
+
+  const xFor = (index) =>
+    labels.length > 1
+      ? PADDING.left + (index / (labels.length - 1)) * plotWidth
+      : PADDING.left + plotWidth / 2
+  const yFor = (value) => PADDING.top + plotHeight - (value / yMax) * plotHeight
+
+  const labelStep = Math.max(1, Math.ceil(labels.length / 6))
+
+  return (
+    <figure className={styles.chartRoot}>
+      <svg
+        className={styles.svg}
+        viewBox={`0 0 ${VIEW_WIDTH} ${VIEW_HEIGHT}`}
+        role="img"
+        aria-label={ariaLabel}
+      >
+        {Array.from({ length: GRID_STEPS + 1 }, (_, step) => {
+          const value = (yMax / GRID_STEPS) * step
+          const y = yFor(value)
+          return (
+            <g key={`grid-${step}`}>
+              <line
+                className={styles.gridLine}
+                x1={PADDING.left}
+                x2={VIEW_WIDTH - PADDING.right}
+                y1={y}
+                y2={y}
+              />
+              <text className={styles.axisLabel} x={PADDING.left - 6} y={y + 4} textAnchor="end">
+                {formatPercent(value)}
+              </text>
+            </g>
+          )
+        })}
+
+        {labels.map((label, index) =>
+          index % labelStep === 0 || index === labels.length - 1 ? (
+            <text
+              key={`label-${label}`}
+              className={styles.axisLabel}
+              x={xFor(index)}
+              y={VIEW_HEIGHT - 8}
+              textAnchor="middle"
+            >
+              {label}
+            </text>
+          ) : null,
+        )}
+
+        {series.map((line) => {
+          const points = line.values
+            .map((value, index) => (typeof value === 'number' ? [xFor(index), yFor(value)] : null))
+            .filter(Boolean)
+
+          if (!points.length) return null
+
+          return (
+            <g key={line.id}>
+              <polyline
+                className={styles.line}
+                points={points.map(([x, y]) => `${x},${y}`).join(' ')}
+                stroke={line.color}
+              />
+              {points.length === 1 && (
+                <circle cx={points[0][0]} cy={points[0][1]} r="3" fill={line.color} />
+              )}
+            </g>
+          )
+        })}
+      </svg>
+
+      {series.length > 0 && (
+        <figcaption className={styles.legend}>
+          {series.map((line) => (
+            <span key={line.id} className={styles.legendItem}>
+              <span className={styles.legendSwatch} style={{ backgroundColor: line.color }} />
+              {line.label}
+            </span>
+          ))}
+        </figcaption>
+      )}
+    </figure>
+  )
+}
+
+TrendChart.propTypes = {
+  labels: PropTypes.arrayOf(PropTypes.string).isRequired,
+  series: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+      label: PropTypes.string.isRequired,
+      color: PropTypes.string.isRequired,
+      values: PropTypes.arrayOf(PropTypes.number).isRequired,
+    }),
+  ).isRequired,
+  ariaLabel: PropTypes.string,
+}
+
+TrendChart.defaultProps = {
+  ariaLabel: 'Trend chart',
+}
+
+export default TrendChart
@@ -0,0 +1,113 @@
+import { useMemo, useState } from 'react'
+import PropTypes from 'prop-types'
+import { usePlayerTag } from '../state/PlayerTagContext.jsx'
+import { MAX_PRICED_LEVEL, computeDeckUpgradeCost } from '../utils/upgradeCosts'
+import styles from './UpgradeCostPanel.module.css'
+
+const TARGET_OPTIONS = [
+  { value: 'match', label: "Deck's levels" },
+  ...Array.from({ length: 3 }, (_, i) => {
+    const level = MAX_PRICED_LEVEL - 2 + i
+    return { value: String(level), label: `Level ${level}` }
+  }),
+]
+
+function formatNumber(value) {
+  return Number.isFinite(value) ? value.toLocaleString() : '–'
+}
+
+/**
+ * Collapsible cost of bringing the player's copies of a deck's cards up to
+ * the deck's own levels (or a fixed level), with a per-card breakdown.
+ */
+function UpgradeCostPanel({ cards, title, className }) {
+  const { currentPlayer } = usePlayerTag()
+  const [target, setTarget] = useState('match')
+  const playerCards = currentPlayer?.cards
+
+  const cost = useMemo(
+    () => (Array.isArray(playerCards) ? computeDeckUpgradeCost(cards, playerCards, target) : null),
+    [cards, playerCards, target],
+  )
+
+  if (!cost || !cost.cards.length) return null
+
+  const upgradeCards = cost.cards.filter((card) => card.targetLevel > card.currentLevel || !card.owned)
+
+  return (
+    <details className={[styles.panel, className].filter(Boolean).join(' ')}>
+      <summary className={styles.summary}>
+        <span>{title}</span>
+        <span className={styles.total}>
+          {upgradeCards.length === 0 ? 'Ready to play' : `${formatNumber(cost.gold)} gold`}
+        </span>
+      </summary>
+
+      <label className={styles.targetLabel}>
+        Target
+        <select
+          className={styles.targetSelect}
+          value={target}
+          onChange={(event) => setTarget(event.target.value)}
+        >
+          {TARGET_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {upgradeCards.length === 0 ? (
+        <p className={styles.note}>Your cards already reach this level.</p>
+      ) : (
+        <>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th scope="col">Card</th>
+                <th scope="col">Level</th>
+                <th scope="col">Cards</th>
+                <th scope="col">Gold</th>
+              </tr>
+            </thead>
+            <tbody>
+              {upgradeCards.map((card) => (
+                <tr key={card.name}>
+                  <td>{card.name}</td>
+                  <td>
+                    {card.owned ? card.currentLevel : 'Not owned'} → {card.targetLevel}
+                  </td>
+                  <td>
+                    {formatNumber(card.cardsOwned)} / {formatNumber(card.cardsNeeded)}
+                  </td>
+                  <td>{formatNumber(card.gold)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className={styles.note}>
+            {formatNumber(cost.cardsMissing)} cards still needed
+            {cost.unownedCount > 0 ? `, ${cost.unownedCount} not unlocked yet` : ''}.
+            {cost.unpricedLevels > 0
+              ? ` Levels past ${MAX_PRICED_LEVEL} need Elite Wild Cards and are not included.`
+              : ''}
+          </p>
+        </>
+      )}
+    </details>
+  )
+}
+
+UpgradeCostPanel.propTypes = {
+  cards: PropTypes.arrayOf(PropTypes.object).isRequired,
+  title: PropTypes.string,
+  className: PropTypes.string,
+}
+
+UpgradeCostPanel.defaultProps = {
+  title: 'Upgrade cost',
+  className: undefined,
+}
+
+export default UpgradeCostPanel
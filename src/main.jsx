@@ -6,15 +6,18 @@ import App from './App.jsx'
 import './index.css'
 import { DeckCacheProvider } from './state/DeckCacheContext.jsx'
 import { PlayerTagProvider } from './state/PlayerTagContext.jsx'
+import { CardCatalogProvider } from './state/CardCatalogContext.jsx'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <BrowserRouter basename="/p58/">
-      <PlayerTagProvider>
-        <DeckCacheProvider>
-          <App />
-        </DeckCacheProvider>
-      </PlayerTagProvider>
+      <CardCatalogProvider>
+        <PlayerTagProvider>
+          <DeckCacheProvider>
+            <App />
+          </DeckCacheProvider>
+        </PlayerTagProvider>
+      </CardCatalogProvider>
     </BrowserRouter>
   </React.StrictMode>,
 )
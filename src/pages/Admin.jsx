@@ -0,0 +1,22 @@
+import { Outlet } from 'react-router-dom'
+import SubNavBar from '../components/SubNavBar'
+import styles from './Admin.module.css'
+
+const SUB_LINKS = [
+  { label: 'Refresh', path: '/admin/refresh' },
+  { label: 'Similarity', path: '/admin/similarity' },
+  { label: 'Backups', path: '/admin/backups' },
+]
+
+function Admin() {
+  return (
+    <section className={styles.section}>
+      <SubNavBar links={SUB_LINKS} ariaLabel="Admin sub navigation" />
+      <div className={styles.content}>
+        <Outlet />
+      </div>
+    </section>
+  )
+}
+
+export default Admin
@@ -19,6 +19,7 @@ const SUB_LINKS = [
   { label: 'Explore', path: '/decks/explore' },
   { label: 'Build', path: '/decks/build' },
   { label: 'Cache', path: '/decks/cache' },
+  { label: 'Upgrades', path: '/decks/upgrades' },
 ]
 
 function Decks() {
@@ -0,0 +1,271 @@
+import { useEffect, useMemo, useState } from 'react'
+import TrendChart from '../components/TrendChart'
+import styles from './Meta.module.css'
+
+const TREND_DAYS = 30
+const MOVER_COUNT = 5
+const DEFAULT_CHART_CARDS = 5
+const MAX_CHART_CARDS = 8
+const SERIES_COLORS = [
+  '#3b82f6',
+  '#f97316',
+  '#10b981',
+  '#e879f9',
+  '#fbbf24',
+  '#ef4444',
+  '#22d3ee',
+  '#a3e635',
+]
+
+function formatPercent(rate) {
+  if (typeof rate !== 'number' || !Number.isFinite(rate)) return '–'
+  return `${(rate * 100).toFixed(1)}%`
+}
+
+function formatDelta(delta) {
+  const points = (delta * 100).toFixed(1)
+  return delta > 0 ? `+${points} pts` : `${points} pts`
+}
+
+/**
+ * Compare each card's latest usage rate with the first snapshot in the window
+ * and return cards sorted by change, largest rise first.
+ */
+function computeMovers(snapshots) {
+  if (snapshots.length < 2) return []
+
+  const first = snapshots[0].cards || {}
+  const latest = snapshots[snapshots.length - 1].cards || {}
+  const cardIds = new Set([...Object.keys(first), ...Object.keys(latest)])
+
+  return Array.from(cardIds)
+    .map((cardId) => {
+      const before = first[cardId]?.usageRate ?? 0
+      const after = latest[cardId]?.usageRate ?? 0
+      return {
+        cardId,
+        name: latest[cardId]?.name ?? first[cardId]?.name ?? cardId,
+        before,
+        after,
+        delta: after - before,
+      }
+    })
+    .filter((mover) => mover.delta !== 0)
+    .sort((a, b) => b.delta - a.delta)
+}
+
+function Meta() {
+  const [snapshots, setSnapshots] = useState([])
+  const [latestPairs, setLatestPairs] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [selectedCardIds, setSelectedCardIds] = useState(null)
+
+  useEffect(() => {
+    async function fetchTrends() {
+      setIsLoading(true)
+      setError(null)
+
+      try {
+        const response = await fetch(
+          `https://us-central1-clash-cache.cloudfunctions.net/getCardMetaTrends?days=${TREND_DAYS}`,
+        )
+
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}))
+          throw new Error(
+            errorData.error || `Request failed with status ${response.status}`,
+          )
+        }
+
+        const data = await response.json()
+        if (data.success && Array.isArray(data.snapshots)) {
+          setSnapshots(data.snapshots)
+          setLatestPairs(Array.isArray(data.latestPairs) ? data.latestPairs : [])
+        } else {
+          throw new Error('Invalid response format')
+        }
+      } catch (fetchError) {
+        setError(
+          fetchError instanceof Error ? fetchError.message : 'Failed to load meta trends',
+        )
+        setSnapshots([])
+        setLatestPairs([])
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    fetchTrends()
+  }, [])
+
+  const latestCards = useMemo(() => {
+    const latest = snapshots[snapshots.length - 1]
+    if (!latest) return []
+
+    return Object.entries(latest.cards || {})
+      .map(([cardId, card]) => ({ cardId, ...card }))
+      .sort((a, b) => (b.usageRate ?? 0) - (a.usageRate ?? 0))
+  }, [snapshots])
+
+  const movers = useMemo(() => computeMovers(snapshots), [snapshots])
+  const risers = movers.filter((mover) => mover.delta > 0).slice(0, MOVER_COUNT)
+  const fallers = movers
+    .filter((mover) => mover.delta < 0)
+    .slice(-MOVER_COUNT)
+    .reverse()
+
+  // Until the user picks cards, chart the most used ones
+  const chartCardIds = useMemo(
+    () =>
+      selectedCardIds ??
+      latestCards.slice(0, DEFAULT_CHART_CARDS).map((card) => card.cardId),
+    [selectedCardIds, latestCards],
+  )
+
+  const chartSeries = useMemo(
+    () =>
+      chartCardIds.map((cardId, index) => ({
+        id: cardId,
+        label: latestCards.find((card) => card.cardId === cardId)?.name ?? cardId,
+        color: SERIES_COLORS[index % SERIES_COLORS.length],
+        values: snapshots.map((snapshot) => snapshot.cards?.[cardId]?.usageRate ?? null),
+      })),
+    [chartCardIds, latestCards, snapshots],
+  )
+
+  const chartLabels = useMemo(
+    () => snapshots.map((snapshot) => String(snapshot.date || '').slice(5)),
+    [snapshots],
+  )
+
+  const toggleCard = (cardId) => {
+    const current = chartCardIds
+    if (current.includes(cardId)) {
+      setSelectedCardIds(current.filter((id) => id !== cardId))
+    } else if (current.length < MAX_CHART_CARDS) {
+      setSelectedCardIds([...current, cardId])
+    }
+  }
+
+  const latestSnapshot = snapshots[snapshots.length - 1]
+
+  return (
+    <section className={styles.section} aria-label="Card meta trends">
+      <header className={styles.header}>
+        <h1 className={styles.title}>Meta Trends</h1>
+        <p className={styles.subtitle}>
+          {latestSnapshot
+            ? `Card usage across ${latestSnapshot.totalDecks} top ladder decks, updated daily (latest ${latestSnapshot.date}).`
+            : 'Card usage across top ladder decks, updated daily.'}
+        </p>
+      </header>
+
+      {isLoading ? (
+        <p className={styles.emptyState}>Loading meta trends...</p>
+      ) : error ? (
+        <p className={styles.emptyState}>Error loading meta trends: {error}</p>
+      ) : snapshots.length === 0 ? (
+        <p className={styles.emptyState}>No meta snapshots recorded yet.</p>
+      ) : (
+        <>
+          <div className={styles.panel}>
+            <h2 className={styles.panelTitle}>Usage over time</h2>
+            <TrendChart
+              labels={chartLabels}
+              series={chartSeries}
+              ariaLabel="Card usage rate over time"
+            />
+          </div>
+
+          <div className={styles.moversGrid}>
+            <div className={styles.panel}>
+              <h2 className={styles.panelTitle}>Risers</h2>
+              {risers.length === 0 ? (
+                <p className={styles.emptyState}>Not enough history yet.</p>
+              ) : (
+                <ul className={styles.moverList}>
+                  {risers.map((mover) => (
+                    <li key={mover.cardId} className={styles.moverItem}>
+                      <span>{mover.name}</span>
+                      <span className={styles.deltaUp}>{formatDelta(mover.delta)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <div className={styles.panel}>
+              <h2 className={styles.panelTitle}>Fallers</h2>
+              {fallers.length === 0 ? (
+                <p className={styles.emptyState}>Not enough history yet.</p>
+              ) : (
+                <ul className={styles.moverList}>
+                  {fallers.map((mover) => (
+                    <li key={mover.cardId} className={styles.moverItem}>
+                      <span>{mover.name}</span>
+                      <span className={styles.deltaDown}>{formatDelta(mover.delta)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+
+          <div className={styles.panel}>
+            <h2 className={styles.panelTitle}>Cards</h2>
+            <p className={styles.panelHint}>
+              Select up to {MAX_CHART_CARDS} cards to compare on the chart.
+            </p>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th scope="col">Card</th>
+                  <th scope="col">Usage</th>
+                  <th scope="col">Evolved</th>
+                  <th scope="col">Chart</th>
+                </tr>
+              </thead>
+              <tbody>
+                {latestCards.map((card) => (
+                  <tr key={card.cardId}>
+                    <td>{card.name}</td>
+                    <td>{formatPercent(card.usageRate)}</td>
+                    <td>{formatPercent(card.evolutionRate)}</td>
+                    <td>
+                      <input
+                        type="checkbox"
+                        aria-label={`Show ${card.name} on chart`}
+                        checked={chartCardIds.includes(card.cardId)}
+                        disabled={
+                          !chartCardIds.includes(card.cardId) &&
+                          chartCardIds.length >= MAX_CHART_CARDS
+                        }
+                        onChange={() => toggleCard(card.cardId)}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {latestPairs.length > 0 && (
+            <div className={styles.panel}>
+              <h2 className={styles.panelTitle}>Top pairs</h2>
+              <ul className={styles.moverList}>
+                {latestPairs.slice(0, 10).map((pair) => (
+                  <li key={pair.cardIds.join('-')} className={styles.moverItem}>
+                    <span>{pair.names.join(' + ')}</span>
+                    <span>{formatPercent(pair.rate)}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  )
+}
+
+export default Meta
@@ -0,0 +1,332 @@
+import { useMemo, useState } from 'react'
+import cardBackups from '../../data/card_backups.json'
+import cardRoles from '../../data/card_roles.json'
+import { useCardCatalog } from '../../state/CardCatalogContext.jsx'
+import {
+  MAX_STARS,
+  MIN_STARS,
+  diffBackupData,
+  formatDataFile,
+  validateBackupData,
+} from '../../utils/backupDataValidator'
+import styles from './BackupEditor.module.css'
+
+const STAR_OPTIONS = Array.from({ length: MAX_STARS - MIN_STARS + 1 }, (_, i) => MIN_STARS + i)
+const DEFAULT_STARS = 2
+
+function cloneData() {
+  return {
+    backups: JSON.parse(JSON.stringify(cardBackups)),
+    roles: JSON.parse(JSON.stringify(cardRoles)),
+  }
+}
+
+function downloadFile(fileName, contents) {
+  const url = URL.createObjectURL(new Blob([contents], { type: 'application/json' }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+function formatChangeValue(change, value) {
+  if (value === null) return '–'
+  return change.file === 'roles' ? 'yes' : `${value}★`
+}
+
+/**
+ * Admin editor for card_backups.json and card_roles.json. Edits stay in the
+ * browser: the draft is validated against the card catalog, compared with
+ * the bundled files, and exported as JSON to commit to src/data.
+ */
+function BackupEditor() {
+  const { catalog, isLoadingCatalog } = useCardCatalog()
+  const [draft, setDraft] = useState(cloneData)
+  const [selectedName, setSelectedName] = useState(() => cardBackups[0]?.name ?? '')
+  const [newBackupName, setNewBackupName] = useState('')
+
+  const catalogNames = useMemo(() => catalog.cards.map((card) => card.name), [catalog])
+
+  const cardNames = useMemo(() => {
+    const names = new Set(catalogNames)
+    draft.backups.forEach((entry) => names.add(entry.name))
+    return [...names].sort((a, b) => a.localeCompare(b))
+  }, [catalogNames, draft.backups])
+
+  const validation = useMemo(
+    () => validateBackupData(draft, catalogNames.length ? catalogNames : null),
+    [draft, catalogNames],
+  )
+  const changes = useMemo(() => diffBackupData(cloneData(), draft), [draft])
+
+  const selectedEntry = draft.backups.find((entry) => entry.name === selectedName) ?? null
+  const selectedIssues = validation.errors.filter((issue) =>
+    issue.message.includes(`"${selectedName}"`),
+  )
+
+  // Apply `update` to the selected card's backups, creating its entry first
+  // when it has none
+  const updateBackups = (update) => {
+    setDraft((prev) => {
+      const exists = prev.backups.some((entry) => entry.name === selectedName)
+      const backups = exists ? prev.backups : [...prev.backups, { name: selectedName, backups: [] }]
+      return {
+        ...prev,
+        backups: backups.map((entry) =>
+          entry.name === selectedName ? { ...entry, backups: update(entry.backups) } : entry,
+        ),
+      }
+    })
+  }
+
+  const handleStarsChange = (backupIdx, stars) => {
+    updateBackups((backups) =>
+      backups.map((backup, idx) => (idx === backupIdx ? { ...backup, stars } : backup)),
+    )
+  }
+
+  const handleRemoveBackup = (backupIdx) => {
+    updateBackups((backups) => backups.filter((_, idx) => idx !== backupIdx))
+  }
+
+  const handleAddBackup = (event) => {
+    event.preventDefault()
+    const name = newBackupName.trim()
+    if (!name) return
+    updateBackups((backups) => [...backups, { name, stars: DEFAULT_STARS }])
+    setNewBackupName('')
+  }
+
+  const handleRoleToggle = (role) => {
+    setDraft((prev) => {
+      const names = prev.roles[role] || []
+      return {
+        ...prev,
+        roles: {
+          ...prev.roles,
+          [role]: names.includes(selectedName)
+            ? names.filter((name) => name !== selectedName)
+            : [...names, selectedName],
+        },
+      }
+    })
+  }
+
+  const handleReset = () => {
+    setDraft(cloneData())
+  }
+
+  return (
+    <section className={styles.section} aria-label="Backup data editor">
+      <header className={styles.header}>
+        <div>
+          <h1 className={styles.title}>Backup Data</h1>
+          <p className={styles.subtitle}>
+            Edit backups, stars and roles, then export the JSON files to commit to src/data.
+          </p>
+        </div>
+        <div className={styles.actions}>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={handleReset}
+            disabled={!changes.length}
+          >
+            Reset
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => downloadFile('card_backups.json', formatDataFile(draft.backups))}
+          >
+            Export backups
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => downloadFile('card_roles.json', formatDataFile(draft.roles))}
+          >
+            Export roles
+          </button>
+        </div>
+      </header>
+
+      <div className={styles.panel}>
+        <label className={styles.field}>
+          <span className={styles.fieldLabel}>Card</span>
+          <select
+            className="form-select"
+            value={selectedName}
+            onChange={(event) => setSelectedName(event.target.value)}
+          >
+            {cardNames.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {selectedIssues.length > 0 && (
+          <ul className={styles.issueList}>
+            {selectedIssues.map((issue) => (
+              <li key={`${issue.path}-${issue.message}`} className={styles.errorText}>
+                {issue.message}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <h2 className={styles.panelTitle}>Backups</h2>
+        {!selectedEntry?.backups.length ? (
+          <p className={styles.emptyState}>No backups for {selectedName}.</p>
+        ) : (
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th scope="col">#</th>
+                <th scope="col">Backup</th>
+                <th scope="col">Stars</th>
+                <th scope="col" aria-label="Remove" />
+              </tr>
+            </thead>
+            <tbody>
+              {selectedEntry.backups.map((backup, backupIdx) => (
+                <tr key={`${backup.name}-${backupIdx}`}>
+                  <td>{backupIdx + 1}</td>
+                  <td>
+                    {backup.name}
+                    {catalogNames.length > 0 && !catalogNames.includes(backup.name) && (
+                      <span className={styles.errorText}> (unknown card)</span>
+                    )}
+                  </td>
+                  <td>
+                    <select
+                      className="form-select form-select-sm"
+                      value={backup.stars}
+                      onChange={(event) => handleStarsChange(backupIdx, Number(event.target.value))}
+                    >
+                      {STAR_OPTIONS.map((stars) => (
+                        <option key={stars} value={stars}>
+                          {stars}★
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <button
+                      type="button"
+                      className="btn btn-sm btn-outline-danger"
+                      onClick={() => handleRemoveBackup(backupIdx)}
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <form className={styles.addForm} onSubmit={handleAddBackup}>
+          <input
+            className="form-control"
+            list="backup-editor-cards"
+            placeholder="Add backup..."
+            value={newBackupName}
+            onChange={(event) => setNewBackupName(event.target.value)}
+          />
+          <datalist id="backup-editor-cards">
+            {cardNames
+              .filter((name) => name !== selectedName)
+              .map((name) => (
+                <option key={name} value={name} />
+              ))}
+          </datalist>
+          <button type="submit" className="btn btn-primary" disabled={!newBackupName.trim()}>
+            Add
+          </button>
+        </form>
+
+        <h2 className={styles.panelTitle}>Roles</h2>
+        <div className={styles.roleList}>
+          {Object.keys(draft.roles).map((role) => (
+            <label key={role} className={styles.roleOption}>
+              <input
+                type="checkbox"
+                checked={(draft.roles[role] || []).includes(selectedName)}
+                onChange={() => handleRoleToggle(role)}
+              />{' '}
+              {role}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className={styles.panel}>
+        <h2 className={styles.panelTitle}>
+          Validation: {validation.errors.length} error(s), {validation.warnings.length} warning(s)
+        </h2>
+        {isLoadingCatalog && (
+          <p className={styles.emptyState}>Loading the card catalog to check names...</p>
+        )}
+        {validation.errors.length > 0 && (
+          <ul className={styles.issueList}>
+            {validation.errors.map((issue) => (
+              <li key={`${issue.path}-${issue.message}`} className={styles.errorText}>
+                <code>{issue.path}</code> {issue.message}
+              </li>
+            ))}
+          </ul>
+        )}
+        {validation.warnings.length > 0 && (
+          <details>
+            <summary>Warnings</summary>
+            <ul className={styles.issueList}>
+              {validation.warnings.map((issue) => (
+                <li key={`${issue.path}-${issue.message}`}>{issue.message}</li>
+              ))}
+            </ul>
+          </details>
+        )}
+      </div>
+
+      <div className={styles.panel}>
+        <h2 className={styles.panelTitle}>Changes</h2>
+        {!changes.length ? (
+          <p className={styles.emptyState}>No changes from the bundled files.</p>
+        ) : (
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th scope="col">Change</th>
+                <th scope="col">File</th>
+                <th scope="col">Relation</th>
+                <th scope="col">Before</th>
+                <th scope="col">After</th>
+              </tr>
+            </thead>
+            <tbody>
+              {changes.map((change) => (
+                <tr key={`${change.file}-${change.label}`}>
+                  <td>
+                    <span className={`${styles.changeKind} ${styles[change.kind]}`}>
+                      {change.kind}
+                    </span>
+                  </td>
+                  <td>{change.file === 'roles' ? 'card_roles.json' : 'card_backups.json'}</td>
+                  <td>{change.label}</td>
+                  <td>{formatChangeValue(change, change.before)}</td>
+                  <td>{formatChangeValue(change, change.after)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </section>
+  )
+}
+
+export default BackupEditor
@@ -0,0 +1,183 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { compareWithCurated, learnBackupSimilarity } from '../../services/backupSimilarity'
+import styles from './BackupSimilarity.module.css'
+
+function formatSimilarity(value) {
+  return Number.isFinite(value) ? value.toFixed(2) : '–'
+}
+
+function formatShare(count, total) {
+  return total ? `${Math.round((count / total) * 100)}%` : '–'
+}
+
+/**
+ * Admin report comparing backups learned from the stored top player decks
+ * (services/backupSimilarity) with the curated card_backups.json.
+ */
+function BackupSimilarity() {
+  const [decks, setDecks] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchDecks = useCallback(async () => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const response = await fetch(
+        'https://us-central1-clash-cache.cloudfunctions.net/getTopPlayersDecks',
+      )
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `Request failed with status ${response.status}`)
+      }
+
+      const data = await response.json()
+      if (data.success && Array.isArray(data.decks)) {
+        setDecks(data.decks)
+      } else {
+        throw new Error('Invalid response format')
+      }
+    } catch (fetchError) {
+      setError(fetchError instanceof Error ? fetchError.message : 'Failed to load decks')
+      setDecks([])
+    } finally {
+      setIsLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchDecks()
+  }, [fetchDecks])
+
+  const report = useMemo(
+    () => (decks.length ? compareWithCurated(learnBackupSimilarity(decks)) : null),
+    [decks],
+  )
+
+  return (
+    <section className={styles.section} aria-label="Backup similarity">
+      <header className={styles.header}>
+        <div>
+          <h1 className={styles.title}>Backup Similarity</h1>
+          <p className={styles.subtitle}>
+            Substitutes learned from top player decks (cards played with the same cards but
+            rarely together) compared with the curated backup list.
+          </p>
+        </div>
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={fetchDecks}
+          disabled={isLoading}
+        >
+          {isLoading ? 'Loading...' : 'Reload'}
+        </button>
+      </header>
+
+      {error && <p className={styles.errorState}>Error loading decks: {error}</p>}
+
+      {!isLoading && !error && !report && (
+        <p className={styles.emptyState}>No decks stored yet.</p>
+      )}
+
+      {report && (
+        <>
+          <div className={styles.summaryGrid}>
+            <div className={styles.summaryItem}>
+              <span className={styles.summaryLabel}>Decks</span>
+              <span className={styles.summaryValue}>{report.deckCount}</span>
+              <span className={styles.summaryHint}>{report.modeledCards} cards modeled</span>
+            </div>
+            <div className={styles.summaryItem}>
+              <span className={styles.summaryLabel}>Curated pairs</span>
+              <span className={styles.summaryValue}>{report.curatedPairs}</span>
+              <span className={styles.summaryHint}>
+                {report.modeledPairs} with enough data
+              </span>
+            </div>
+            <div className={styles.summaryItem}>
+              <span className={styles.summaryLabel}>Mean similarity</span>
+              <span className={styles.summaryValue}>
+                {formatSimilarity(report.meanCuratedSimilarity)}
+              </span>
+              <span className={styles.summaryHint}>
+                curated vs {formatSimilarity(report.meanOtherSimilarity)} for other pairs
+              </span>
+            </div>
+            <div className={styles.summaryItem}>
+              <span className={styles.summaryLabel}>Learned stars</span>
+              <span className={styles.summaryValue}>
+                {[3, 2, 1].map((stars) => report.starCounts[stars]).join(' / ')}
+              </span>
+              <span className={styles.summaryHint}>
+                curated pairs rated 3 / 2 / 1 (
+                {formatShare(report.starCounts[3] + report.starCounts[2], report.modeledPairs)}{' '}
+                at 2+)
+              </span>
+            </div>
+          </div>
+
+          <div className={styles.panel}>
+            <h2 className={styles.panelTitle}>Curated backups the decks do not support</h2>
+            {report.unsupported.length === 0 ? (
+              <p className={styles.emptyState}>Every modeled curated backup has support.</p>
+            ) : (
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th scope="col">Card</th>
+                    <th scope="col">Backup</th>
+                    <th scope="col">Curated stars</th>
+                    <th scope="col">Similarity</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.unsupported.map((row) => (
+                    <tr key={`${row.name}|${row.backup}`}>
+                      <td>{row.name}</td>
+                      <td>{row.backup}</td>
+                      <td>{row.curatedStars ?? '–'}</td>
+                      <td>{formatSimilarity(row.similarity)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div className={styles.panel}>
+            <h2 className={styles.panelTitle}>Learned backups missing from the curated list</h2>
+            {report.missing.length === 0 ? (
+              <p className={styles.emptyState}>No strong learned substitutes are missing.</p>
+            ) : (
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th scope="col">Card</th>
+                    <th scope="col">Substitute</th>
+                    <th scope="col">Learned stars</th>
+                    <th scope="col">Similarity</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.missing.map((row) => (
+                    <tr key={`${row.name}|${row.backup}`}>
+                      <td>{row.name}</td>
+                      <td>{row.backup}</td>
+                      <td>{row.learnedStars}</td>
+                      <td>{formatSimilarity(row.similarity)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </section>
+  )
+}
+
+export default BackupSimilarity
@@ -0,0 +1,296 @@
+import { useCallback, useEffect, useState } from 'react'
+import styles from './RefreshStatus.module.css'
+
+const RUN_LIMIT = 25
+// getRefreshStatus requires an admin; the Firebase ID token is kept for the
+// browser session only
+const ID_TOKEN_STORAGE_KEY = 'admin/idToken'
+const JOB_LABELS = {
+  leaderboard: 'Leaderboard',
+  decks: 'Decks',
+  battleLogs: 'Battle logs',
+  cardMeta: 'Card meta',
+}
+
+function formatDateTime(iso) {
+  if (!iso) return '–'
+  return new Date(iso).toLocaleString()
+}
+
+function formatAge(iso) {
+  if (!iso) return 'never'
+  const minutes = Math.round((Date.now() - new Date(iso).getTime()) / 60000)
+  if (minutes < 60) return `${minutes}m ago`
+  const hours = Math.round(minutes / 60)
+  if (hours < 48) return `${hours}h ago`
+  return `${Math.round(hours / 24)}d ago`
+}
+
+function loadIdToken() {
+  try {
+    return window.sessionStorage.getItem(ID_TOKEN_STORAGE_KEY) || ''
+  } catch (error) {
+    return ''
+  }
+}
+
+function persistIdToken(idToken) {
+  try {
+    if (idToken) {
+      window.sessionStorage.setItem(ID_TOKEN_STORAGE_KEY, idToken)
+    } else {
+      window.sessionStorage.removeItem(ID_TOKEN_STORAGE_KEY)
+    }
+  } catch (error) {
+    // ignore write failures
+  }
+}
+
+function formatDuration(ms) {
+  if (typeof ms !== 'number') return '–'
+  if (ms < 1000) return `${ms}ms`
+  const seconds = Math.round(ms / 1000)
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`
+}
+
+/**
+ * Admin view of recent leaderboard/deck refresh runs and how fresh the
+ * stored data is, backed by the getRefreshStatus endpoint. Requests carry
+ * the Firebase ID token of a user with the `admin` claim.
+ */
+function RefreshStatus() {
+  const [runs, setRuns] = useState([])
+  const [freshness, setFreshness] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [idToken, setIdToken] = useState(loadIdToken)
+  const [tokenInput, setTokenInput] = useState('')
+
+  const fetchStatus = useCallback(async () => {
+    if (!idToken) return
+
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const response = await fetch(
+        `https://us-central1-clash-cache.cloudfunctions.net/getRefreshStatus?limit=${RUN_LIMIT}`,
+        { headers: { Authorization: `Bearer ${idToken}` } },
+      )
+
+      if (response.status === 401 || response.status === 403) {
+        // Expired or not an admin: ask for a new token
+        const errorData = await response.json().catch(() => ({}))
+        persistIdToken('')
+        setIdToken('')
+        setRuns([])
+        setFreshness(null)
+        throw new Error(errorData.error || 'Admin credentials required')
+      }
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `Request failed with status ${response.status}`)
+      }
+
+      const data = await response.json()
+      if (data.success && Array.isArray(data.runs)) {
+        setRuns(data.runs)
+        setFreshness(data.freshness || null)
+      } else {
+        throw new Error('Invalid response format')
+      }
+    } catch (fetchError) {
+      setError(
+        fetchError instanceof Error ? fetchError.message : 'Failed to load refresh status',
+      )
+    } finally {
+      setIsLoading(false)
+    }
+  }, [idToken])
+
+  useEffect(() => {
+    fetchStatus()
+  }, [fetchStatus])
+
+  const handleTokenSubmit = (event) => {
+    event.preventDefault()
+    const token = tokenInput.trim()
+    if (!token) return
+    persistIdToken(token)
+    setIdToken(token)
+    setTokenInput('')
+  }
+
+  const handleSignOut = () => {
+    persistIdToken('')
+    setIdToken('')
+    setRuns([])
+    setFreshness(null)
+  }
+
+  const deckRefresh = freshness?.deckRefresh
+
+  return (
+    <section className={styles.section} aria-label="Refresh status">
+      <header className={styles.header}>
+        <div>
+          <h1 className={styles.title}>Refresh Status</h1>
+          <p className={styles.subtitle}>Recent refresh runs and data freshness.</p>
+        </div>
+        {idToken && (
+          <div className={styles.headerActions}>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={fetchStatus}
+              disabled={isLoading}
+            >
+              {isLoading ? 'Loading...' : 'Reload'}
+            </button>
+            <button type="button" className="btn btn-outline-secondary" onClick={handleSignOut}>
+              Forget token
+            </button>
+          </div>
+        )}
+      </header>
+
+      {!idToken && (
+        <form className={styles.tokenForm} onSubmit={handleTokenSubmit}>
+          <label className={styles.freshnessLabel} htmlFor="admin-id-token">
+            Firebase ID token of an admin user
+          </label>
+          <input
+            id="admin-id-token"
+            type="password"
+            className="form-control"
+            autoComplete="off"
+            value={tokenInput}
+            onChange={(event) => setTokenInput(event.target.value)}
+          />
+          <button type="submit" className="btn btn-primary" disabled={!tokenInput.trim()}>
+            Load status
+          </button>
+        </form>
+      )}
+
+      {error && <p className={styles.errorState}>Error loading refresh status: {error}</p>}
+
+      {freshness && (
+        <div className={styles.freshnessGrid}>
+          <div className={styles.freshnessItem}>
+            <span className={styles.freshnessLabel}>Leaderboard</span>
+            <span className={styles.freshnessValue}>
+              {formatAge(freshness.lastLeaderboardRefresh)}
+            </span>
+            <span className={styles.freshnessHint}>{freshness.totalPlayers} players</span>
+          </div>
+          <div className={styles.freshnessItem}>
+            <span className={styles.freshnessLabel}>Decks</span>
+            <span className={styles.freshnessValue}>{formatAge(freshness.lastDeckRefresh)}</span>
+            {deckRefresh && (
+              <span className={styles.freshnessHint}>
+                {deckRefresh.status === 'completed'
+                  ? 'Last run completed'
+                  : `Run ${deckRefresh.status}: ${deckRefresh.lastProcessedIndex + 1} / ${deckRefresh.totalPlayers}`}
+              </span>
+            )}
+          </div>
+          <div className={styles.freshnessItem}>
+            <span className={styles.freshnessLabel}>Battle logs</span>
+            <span className={styles.freshnessValue}>
+              {formatAge(freshness.lastBattleLogRefresh)}
+            </span>
+          </div>
+          <div className={styles.freshnessItem}>
+            <span className={styles.freshnessLabel}>Card meta</span>
+            <span className={styles.freshnessValue}>
+              {freshness.latestCardMetaDate || 'never'}
+            </span>
+          </div>
+        </div>
+      )}
+
+      {deckRefresh?.failureReason && deckRefresh.status === 'failed' && (
+        <p className={styles.errorState}>
+          Deck refresh failed: {deckRefresh.failureReason}. The next run resumes from the
+          checkpoint.
+        </p>
+      )}
+
+      <div className={styles.panel}>
+        <h2 className={styles.panelTitle}>Recent runs</h2>
+        {!isLoading && runs.length === 0 ? (
+          <p className={styles.emptyState}>
+            {idToken ? 'No refresh runs recorded yet.' : 'Enter an admin token to load the runs.'}
+          </p>
+        ) : (
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th scope="col">Job</th>
+                <th scope="col">Trigger</th>
+                <th scope="col">Status</th>
+                <th scope="col">Started</th>
+                <th scope="col">Duration</th>
+                <th scope="col">Processed</th>
+                <th scope="col">Skipped</th>
+                <th scope="col">Failures</th>
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map((run) => (
+                <tr key={run.id}>
+                  <td>
+                    {JOB_LABELS[run.job] || run.job}
+                    {run.resumed && <span className={styles.runTag}>resumed</span>}
+                  </td>
+                  <td>
+                    {run.trigger}
+                    {run.triggeredBy && (
+                      <span className={styles.runTag}>
+                        {run.triggeredBy.email || run.triggeredBy.method}
+                      </span>
+                    )}
+                  </td>
+                  <td>
+                    <span className={`${styles.status} ${styles[run.status] || ''}`}>
+                      {run.status}
+                    </span>
+                  </td>
+                  <td>{formatDateTime(run.startedAt)}</td>
+                  <td>{formatDuration(run.durationMs)}</td>
+                  <td>{run.processedPlayers}</td>
+                  <td>{run.skippedPlayers}</td>
+                  <td>
+                    {run.error ? (
+                      <span className={styles.errorText}>
+                        {run.error.code ? `${run.error.code}: ` : ''}
+                        {run.error.message}
+                      </span>
+                    ) : run.failureCount > 0 ? (
+                      <details>
+                        <summary>{run.failureCount}</summary>
+                        <ul className={styles.failureList}>
+                          {run.failures.map((failure) => (
+                            <li key={`${failure.tag}-${failure.locationId || ''}`}>
+                              {failure.tag || `Location ${failure.locationId}`} – {failure.code}
+                            </li>
+                          ))}
+                        </ul>
+                      </details>
+                    ) : (
+                      0
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </section>
+  )
+}
+
+export default RefreshStatus
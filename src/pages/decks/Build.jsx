@@ -2,14 +2,49 @@ import { useState, useEffect, useMemo, useCallback } from 'react'
 import { createDeckbuilder } from '../../services/smartDeckbuilder'
 import { usePlayerTag } from '../../state/PlayerTagContext'
 import { useDeckCache } from '../../state/DeckCacheContext'
+import { useCardCatalog } from '../../state/CardCatalogContext'
 import Deck from '../../components/Deck'
+import DeckWarnings from '../../components/DeckWarnings'
 import Card from '../../components/Card'
 import cardRoles from '../../data/card_roles.json'
+import { arrangeDeckSlots } from '../../utils/deckSlots'
 import styles from './Build.module.css'
 
 const TT_PARAM = '159000000'
 const LABEL_PARAM = 'Royals'
 const SLOTS_PARAM = '0;0;0;0;0;0;0;0'
+const CARD_PREFERENCES_STORAGE_KEY = 'buildCardPreferences'
+const EMPTY_CARD_PREFERENCES = { include: [], exclude: [] }
+const GENERATED_DECK_COUNT = 5
+
+// Locked (include) and banned (exclude) cards, kept across visits
+function loadCardPreferences() {
+  if (typeof window === 'undefined') {
+    return EMPTY_CARD_PREFERENCES
+  }
+
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(CARD_PREFERENCES_STORAGE_KEY))
+    const toNames = (value) =>
+      Array.isArray(value) ? value.filter((name) => typeof name === 'string' && name) : []
+
+    return { include: toNames(parsed?.include), exclude: toNames(parsed?.exclude) }
+  } catch (error) {
+    return EMPTY_CARD_PREFERENCES
+  }
+}
+
+function persistCardPreferences(preferences) {
+  if (typeof window === 'undefined') {
+    return
+  }
+
+  try {
+    window.localStorage.setItem(CARD_PREFERENCES_STORAGE_KEY, JSON.stringify(preferences))
+  } catch (error) {
+    // ignore write failures
+  }
+}
 
 /**
  * Reorder deck to place champions in the 3rd slot (index 2)
@@ -83,15 +118,35 @@ function buildDeckLink(deckCards) {
   return `https://link.clashroyale.com/en/?clashroyale://copyDeck?deck=${deckParam}${labelParam}&slots=${SLOTS_PARAM}&tt=${TT_PARAM}`
 }
 
+function formatSynergy(value) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}`
+}
+
+// Why the deckbuilder picked a card to fill a slot
+function describeFill(entry) {
+  const partners = entry.partners.length ? `, best with ${entry.partners.join(' and ')}` : ''
+  const meta = `in ${Math.round(entry.metaShare * 100)}% of top decks`
+  return `Synergy ${formatSynergy(entry.synergy)}${partners} · ${meta}`
+}
+
 function Build() {
   const { currentPlayer, playerTag } = usePlayerTag()
   const { addPairToCache } = useDeckCache()
+  const { catalog } = useCardCatalog()
   const [goodDecks, setGoodDecks] = useState([])
   const [isLoadingDecks, setIsLoadingDecks] = useState(true)
   const [decksError, setDecksError] = useState(null)
   const [currentDeck, setCurrentDeck] = useState([]) // Array of card names
   const [deckbuilder, setDeckbuilder] = useState(null)
   const [suggestions, setSuggestions] = useState([])
+  // Beam-search completion of the current deck: { seed, deck, cards }, with
+  // a null deck when no completion was found
+  const [completion, setCompletion] = useState(null)
+  const [selectedFills, setSelectedFills] = useState(() => new Set())
+  const [cardPreferences, setCardPreferences] = useState(loadCardPreferences)
+  // Carousel of diverse generated decks: { decks, index }
+  const [generated, setGenerated] = useState(null)
+  const [distinctWincons, setDistinctWincons] = useState(false)
 
   // Memoize playerCards to prevent infinite loops in useEffect
   const playerCards = useMemo(() => {
@@ -142,14 +197,14 @@ function Build() {
   useEffect(() => {
     if (goodDecks.length > 0) {
       try {
-        const db = createDeckbuilder(goodDecks)
+        const db = createDeckbuilder(goodDecks, { cardCatalog: catalog })
         setDeckbuilder(db)
       } catch (error) {
         console.error('Failed to create deckbuilder:', error)
         setDeckbuilder(null)
       }
     }
-  }, [goodDecks])
+  }, [goodDecks, catalog])
 
   // Get suggestions when deck or player changes (only if deck has at least one card)
   useEffect(() => {
@@ -161,61 +216,100 @@ function Build() {
     try {
       const suggs = deckbuilder.suggestNextCard(currentDeck, playerCards, {
         topK: 8,
+        includeCards: cardPreferences.include,
+        excludeCards: cardPreferences.exclude,
       })
       setSuggestions(suggs)
     } catch (error) {
       console.error('Failed to get suggestions:', error)
       setSuggestions([])
     }
-  }, [deckbuilder, currentDeck, hasPlayerTag, playerCards])
+  }, [deckbuilder, currentDeck, hasPlayerTag, playerCards, cardPreferences])
+
+  useEffect(() => {
+    persistCardPreferences(cardPreferences)
+  }, [cardPreferences])
+
+  // A completion only fits the deck and preferences it was made for
+  useEffect(() => {
+    setCompletion(null)
+  }, [currentDeck, deckbuilder, playerCards, cardPreferences])
 
-  // Convert card name to card object for display
+  useEffect(() => {
+    setGenerated(null)
+  }, [deckbuilder, playerCards, cardPreferences, distinctWincons])
+
+  // Build several decks that differ by a few cards (or by win condition)
+  // around the locked and banned cards, ignoring the current deck
+  const handleGenerateDecks = useCallback(() => {
+    if (!deckbuilder) return
+
+    try {
+      const decks = deckbuilder.buildDiverseDecks(playerCards, {
+        count: GENERATED_DECK_COUNT,
+        distinctWincons,
+        includeCards: cardPreferences.include,
+        excludeCards: cardPreferences.exclude,
+      })
+      setGenerated({ decks, index: 0 })
+    } catch (error) {
+      console.error('Failed to generate decks:', error)
+      setGenerated({ decks: [], index: 0 })
+    }
+  }, [deckbuilder, playerCards, cardPreferences, distinctWincons])
+
+  const handleShowGenerated = useCallback((step) => {
+    setGenerated((prev) =>
+      prev ? { ...prev, index: (prev.index + step + prev.decks.length) % prev.decks.length } : prev,
+    )
+  }, [])
+
+  // Fill the remaining slots around the current cards; other seeds give
+  // other good completions
+  const runCompletion = useCallback(
+    (seed) => {
+      if (!deckbuilder) return
+
+      try {
+        const result = deckbuilder.completeDeck(currentDeck, playerCards, {
+          seed,
+          includeCards: cardPreferences.include,
+          excludeCards: cardPreferences.exclude,
+        })
+        setCompletion({ seed, deck: result?.deck ?? null, cards: result?.cards ?? [] })
+        setSelectedFills(
+          new Set((result?.cards ?? []).filter((entry) => !entry.locked).map((entry) => entry.card)),
+        )
+      } catch (error) {
+        console.error('Failed to fill deck:', error)
+        setCompletion({ seed, deck: null, cards: [] })
+      }
+    },
+    [deckbuilder, currentDeck, playerCards, cardPreferences],
+  )
+
+  // Convert card name to card object for display. Cards the player does not
+  // own (e.g. suggested backups) are described by the card catalog.
   const getCardObject = useCallback(
     (cardName) => {
       if (!cardName) return null
       const normalizedName = String(cardName).trim()
-      
-      // Try exact match first
-      let card = playerCards.find(
-        (c) => String(c?.name || '').trim() === normalizedName,
+      const lowerName = normalizedName.toLowerCase()
+
+      const playerCard = playerCards.find(
+        (c) => String(c?.name || '').trim().toLowerCase() === lowerName,
       )
-      
-      // Try case-insensitive match if exact match fails
-      if (!card) {
-        card = playerCards.find(
-          (c) => String(c?.name || '').trim().toLowerCase() === normalizedName.toLowerCase(),
-        )
-      }
-      
-      if (card) {
-        return {
-          id: card.id,
-          name: card.name,
-          image: card.iconUrls?.medium || '',
-          evolutionImage: card.iconUrls?.evolutionMedium || null,
-          level: card.level,
-          rarity: card.rarity,
-        }
-      }
-      
-      // If card not found in player cards, return minimal object
-      // This can happen if the deckbuilder suggests a backup card the player owns
-      // but we don't have full card data for it
-      return {
-        id: normalizedName,
-        name: normalizedName,
-        image: '',
-        evolutionImage: null,
-        level: 1,
-        rarity: undefined,
-      }
+
+      return catalog.toDisplayCard(normalizedName, playerCard)
     },
-    [playerCards],
+    [playerCards, catalog],
   )
 
-  // Convert current deck (array of names) to card objects for display
+  // Convert current deck (array of names) to card objects for display.
+  // The deckbuilder scores evolutions wherever they sit, so evolved cards
+  // are moved into the evolution slots here, as the game would play them.
   const currentDeckCards = useMemo(() => {
-    return currentDeck.map((cardName) => getCardObject(cardName)).filter(Boolean)
+    return arrangeDeckSlots(currentDeck.map((cardName) => getCardObject(cardName)).filter(Boolean)).cards
   }, [currentDeck, getCardObject])
 
   // Handle adding a card to the deck
@@ -240,12 +334,7 @@ function Build() {
     return playerCards
       .filter((card) => card && card.name)
       .map((card) => ({
-        id: card.id,
-        name: card.name,
-        image: card.iconUrls?.medium || '',
-        evolutionImage: card.iconUrls?.evolutionMedium || null,
-        level: card.level,
-        rarity: card.rarity,
+        ...catalog.toDisplayCard(card.name, card),
         isWincon: wincons.has(card.name),
       }))
       .sort((a, b) => {
@@ -254,7 +343,7 @@ function Build() {
         if (!a.isWincon && b.isWincon) return 1
         return (a.name || '').localeCompare(b.name || '')
       })
-  }, [playerCards, currentDeck.length])
+  }, [playerCards, currentDeck.length, catalog])
 
   // Handle removing a card from the deck
   const handleRemoveCard = useCallback((index) => {
@@ -280,6 +369,95 @@ function Build() {
     setCurrentDeck([])
   }, [])
 
+  // Lock (kind 'include') or ban (kind 'exclude') a card, or undo it; a card
+  // cannot be both
+  const handleTogglePreference = useCallback((cardName, kind) => {
+    setCardPreferences((prev) => {
+      const other = kind === 'include' ? 'exclude' : 'include'
+      return {
+        ...prev,
+        [kind]: prev[kind].includes(cardName)
+          ? prev[kind].filter((name) => name !== cardName)
+          : [...prev[kind], cardName],
+        [other]: prev[other].filter((name) => name !== cardName),
+      }
+    })
+  }, [])
+
+  const renderPreferenceToggles = (cardName) => {
+    const isLocked = cardPreferences.include.includes(cardName)
+    const isBanned = cardPreferences.exclude.includes(cardName)
+
+    return (
+      <div className={styles.preferenceToggles}>
+        <button
+          type="button"
+          className={`${styles.preferenceButton} ${isLocked ? styles.preferenceLocked : ''}`}
+          onClick={() => handleTogglePreference(cardName, 'include')}
+          aria-pressed={isLocked}
+          aria-label={`${isLocked ? 'Unlock' : 'Lock'} ${cardName}`}
+          title={isLocked ? 'Unlock' : 'Always include this card'}
+        >
+          {isLocked ? 'Locked' : 'Lock'}
+        </button>
+        <button
+          type="button"
+          className={`${styles.preferenceButton} ${isBanned ? styles.preferenceBanned : ''}`}
+          onClick={() => handleTogglePreference(cardName, 'exclude')}
+          aria-pressed={isBanned}
+          aria-label={`${isBanned ? 'Unban' : 'Ban'} ${cardName}`}
+          title={isBanned ? 'Unban' : 'Never suggest this card'}
+        >
+          {isBanned ? 'Banned' : 'Ban'}
+        </button>
+      </div>
+    )
+  }
+
+  const handleToggleFill = useCallback((cardName) => {
+    setSelectedFills((prev) => {
+      const next = new Set(prev)
+      if (next.has(cardName)) {
+        next.delete(cardName)
+      } else {
+        next.add(cardName)
+      }
+      return next
+    })
+  }, [])
+
+  // Add completion cards to the deck, in the completion's order
+  const handleAcceptFills = useCallback(
+    (onlySelected) => {
+      if (!completion?.deck) return
+      const fills = completion.cards
+        .filter((entry) => !entry.locked && (!onlySelected || selectedFills.has(entry.card)))
+        .map((entry) => entry.card)
+
+      setCurrentDeck((prev) => [...prev, ...fills.filter((name) => !prev.includes(name))].slice(0, 8))
+    },
+    [completion, selectedFills],
+  )
+
+  const generatedDeck = generated?.decks[generated.index] ?? null
+
+  const generatedCards = useMemo(() => {
+    if (!generatedDeck) return []
+    return arrangeDeckSlots(generatedDeck.deck.map((cardName) => getCardObject(cardName)).filter(Boolean)).cards
+  }, [generatedDeck, getCardObject])
+
+  const completionCards = useMemo(() => {
+    if (!completion?.deck) return []
+    return completion.deck.map((cardName) => getCardObject(cardName)).filter(Boolean)
+  }, [completion, getCardObject])
+
+  const filledIndices = useMemo(() => {
+    if (!completion?.deck) return []
+    return completion.cards
+      .map((entry, index) => (entry.locked ? null : index))
+      .filter((index) => index !== null)
+  }, [completion])
+
   // Get suggestion card objects
   const suggestionCards = useMemo(() => {
     return suggestions.map((sugg) => getCardObject(sugg.card)).filter(Boolean)
@@ -368,8 +546,32 @@ function Build() {
 
         {hasPlayerTag && playerCards.length > 0 && (
           <>
-            {currentDeck.length > 0 && (
-              <div className={styles.controls}>
+            <div className={styles.controls}>
+              {!isDeckComplete && (
+                <button
+                  type="button"
+                  onClick={() => runCompletion(0)}
+                  className={styles.autoBuildButton}
+                >
+                  Fill remaining slots
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={handleGenerateDecks}
+                className={styles.autoBuildButton}
+              >
+                Generate decks
+              </button>
+              <label className={styles.completionLabel}>
+                <input
+                  type="checkbox"
+                  checked={distinctWincons}
+                  onChange={(event) => setDistinctWincons(event.target.checked)}
+                />
+                Different win conditions
+              </label>
+              {currentDeck.length > 0 && (
                 <button
                   type="button"
                   onClick={handleClearDeck}
@@ -377,6 +579,32 @@ function Build() {
                 >
                   Clear Deck
                 </button>
+              )}
+            </div>
+
+            {(cardPreferences.include.length > 0 || cardPreferences.exclude.length > 0) && (
+              <div className={styles.preferenceSummary}>
+                {[
+                  ['include', 'Locked', styles.preferenceLocked],
+                  ['exclude', 'Banned', styles.preferenceBanned],
+                ].map(([kind, label, className]) =>
+                  cardPreferences[kind].length > 0 ? (
+                    <div key={kind} className={styles.preferenceGroup}>
+                      <span className={styles.preferenceLabel}>{label}:</span>
+                      {cardPreferences[kind].map((cardName) => (
+                        <button
+                          key={cardName}
+                          type="button"
+                          className={`${styles.preferenceButton} ${className}`}
+                          onClick={() => handleTogglePreference(cardName, kind)}
+                          aria-label={`Remove ${cardName} from ${label.toLowerCase()} cards`}
+                        >
+                          {cardName} ×
+                        </button>
+                      ))}
+                    </div>
+                  ) : null,
+                )}
               </div>
             )}
 
@@ -386,8 +614,141 @@ function Build() {
                 cards={currentDeckCards}
                 onCardClick={handleDeckCardClick}
               />
+              <DeckWarnings cards={currentDeckCards} />
             </div>
 
+            {completion && (
+              <section className={styles.completionSection} aria-label="Suggested completion">
+                <h3 className={styles.suggestionsTitle}>Suggested Completion</h3>
+                {completion.deck ? (
+                  <>
+                    <Deck
+                      title={null}
+                      cards={completionCards}
+                      variant="optimized"
+                      replacedCardIndices={filledIndices}
+                    />
+                    <DeckWarnings cards={completionCards} />
+                    <ul className={styles.completionList}>
+                      {completion.cards
+                        .filter((entry) => !entry.locked)
+                        .map((entry) => (
+                          <li key={entry.card} className={styles.completionItem}>
+                            <label className={styles.completionLabel}>
+                              <input
+                                type="checkbox"
+                                checked={selectedFills.has(entry.card)}
+                                onChange={() => handleToggleFill(entry.card)}
+                              />
+                              <strong>{entry.card}</strong>
+                            </label>
+                            <span className={styles.completionReason}>{describeFill(entry)}</span>
+                          </li>
+                        ))}
+                    </ul>
+                    <div className={styles.actionButtons}>
+                      <button
+                        type="button"
+                        onClick={() => handleAcceptFills(false)}
+                        className={styles.saveButton}
+                      >
+                        Accept all
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleAcceptFills(true)}
+                        className={styles.autoBuildButton}
+                        disabled={selectedFills.size === 0}
+                      >
+                        Accept selected
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => runCompletion(completion.seed + 1)}
+                        className={styles.clearButton}
+                      >
+                        Regenerate
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setCompletion(null)}
+                        className={styles.clearButton}
+                      >
+                        Dismiss
+                      </button>
+                    </div>
+                  </>
+                ) : (
+                  <div className={styles.emptyState}>
+                    <p>No deck could be completed from your cards.</p>
+                  </div>
+                )}
+              </section>
+            )}
+
+            {generated && (
+              <section className={styles.completionSection} aria-label="Generated decks">
+                <h3 className={styles.suggestionsTitle}>Generated Decks</h3>
+                {generatedDeck ? (
+                  <>
+                    <div className={styles.carouselNav}>
+                      <button
+                        type="button"
+                        onClick={() => handleShowGenerated(-1)}
+                        className={styles.clearButton}
+                        disabled={generated.decks.length < 2}
+                        aria-label="Previous deck"
+                      >
+                        ‹
+                      </button>
+                      <div className={styles.carouselInfo}>
+                        <strong>
+                          {generatedDeck.wincons.length
+                            ? generatedDeck.wincons.join(' + ')
+                            : 'No win condition'}
+                        </strong>
+                        <span className={styles.completionReason}>
+                          Deck {generated.index + 1} of {generated.decks.length} · Score:{' '}
+                          {generatedDeck.score.toFixed(2)}
+                        </span>
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => handleShowGenerated(1)}
+                        className={styles.clearButton}
+                        disabled={generated.decks.length < 2}
+                        aria-label="Next deck"
+                      >
+                        ›
+                      </button>
+                    </div>
+                    <Deck title={null} cards={generatedCards} />
+                    <DeckWarnings cards={generatedCards} />
+                    <div className={styles.actionButtons}>
+                      <button
+                        type="button"
+                        onClick={() => setCurrentDeck(generatedDeck.deck)}
+                        className={styles.saveButton}
+                      >
+                        Use this deck
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setGenerated(null)}
+                        className={styles.clearButton}
+                      >
+                        Dismiss
+                      </button>
+                    </div>
+                  </>
+                ) : (
+                  <div className={styles.emptyState}>
+                    <p>No deck could be built from your cards.</p>
+                  </div>
+                )}
+              </section>
+            )}
+
             {isDeckComplete && (
               <div className={styles.actionButtons}>
                 <button
@@ -422,7 +783,9 @@ function Build() {
                   {availableCards.map((card) => (
                     <div
                       key={card.id || card.name}
-                      className={styles.pickerCard}
+                      className={`${styles.pickerCard} ${
+                        cardPreferences.exclude.includes(card.name) ? styles.bannedCard : ''
+                      }`}
                     >
                       <Card
                         id={card.id}
@@ -430,8 +793,10 @@ function Build() {
                         level={card.level}
                         name={card.name}
                         rarity={card.rarity}
+                        owned={card.owned}
                         onClick={() => handleAddCard(card.name)}
                       />
+                      {renderPreferenceToggles(card.name)}
                     </div>
                   ))}
                 </div>
@@ -457,13 +822,16 @@ function Build() {
                           level={card.level}
                           name={card.name}
                           rarity={card.rarity}
+                          owned={card.owned}
                           onClick={() => handleAddCard(card.name)}
                         />
                         {suggestion && (
                           <div className={styles.suggestionScore}>
-                            Score: {suggestion.score.toFixed(2)}
+                            {suggestion.included ? 'Locked · ' : ''}Score:{' '}
+                            {suggestion.score.toFixed(2)}
                           </div>
                         )}
+                        {renderPreferenceToggles(card.name)}
                       </div>
                     )
                   })}
@@ -1,4 +1,6 @@
+import { useMemo } from 'react'
 import SwimLane from '../../components/SwimLane'
+import UpgradeCostPanel from '../../components/UpgradeCostPanel'
 import { useDeckCache } from '../../state/DeckCacheContext.jsx'
 import styles from './Cache.module.css'
 
@@ -33,13 +35,40 @@ function groupPairsByCard(pairs) {
   return Array.from(lanesMap.values()).sort((a, b) => a.cardName.localeCompare(b.cardName))
 }
 
+// Every card of the cached leaderboard decks once, at the highest level any
+// of those decks plays it
+function collectOriginalCards(pairs) {
+  const cardsByName = new Map()
+
+  pairs.forEach(({ originalDeck }) => {
+    const cards = Array.isArray(originalDeck?.cards) ? originalDeck.cards : []
+    cards.forEach((card) => {
+      if (!card?.name) return
+      const existing = cardsByName.get(card.name)
+      if (!existing || (card.level ?? 0) > (existing.level ?? 0)) {
+        cardsByName.set(card.name, card)
+      }
+    })
+  })
+
+  return Array.from(cardsByName.values())
+}
+
 function Cache() {
   const { cachedPairs, removePairFromCache } = useDeckCache()
 
   const swimLanes = groupPairsByCard(cachedPairs)
+  const originalCards = useMemo(() => collectOriginalCards(cachedPairs), [cachedPairs])
 
   return (
     <article className={styles.cacheRoot}>
+      {originalCards.length > 0 && (
+        <UpgradeCostPanel
+          cards={originalCards}
+          title="Cost to play every cached deck as-is"
+          className={styles.costPanel}
+        />
+      )}
       {swimLanes.length === 0 ? (
         <p className={styles.emptyState}>No cached decks available.</p>
       ) : (
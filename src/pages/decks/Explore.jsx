@@ -4,9 +4,14 @@ import DeckOptPair from '../../components/DeckOptPair'
 import Deck from '../../components/Deck'
 import { useDeckCache } from '../../state/DeckCacheContext.jsx'
 import { usePlayerTag } from '../../state/PlayerTagContext.jsx'
+import { useCardCatalog } from '../../state/CardCatalogContext.jsx'
 import { createHungarianOptimizer, optimizeDeck } from '../../services/deckOptimizer'
+import { learnBackupSimilarity } from '../../services/backupSimilarity'
 import styles from './Explore.module.css'
 
+// Next-best ways to build the deck on screen, shown in DeckOptPair
+const DECK_ALTERNATIVES = 2
+
 function resolveOwner(deck) {
   return (
     deck?.ownerName ??
@@ -109,6 +114,45 @@ function buildDeckLink(deck) {
 }
 
 const STORAGE_STATE_KEY = 'explore/currentState'
+const STORAGE_LOCATION_KEY = 'explore/location'
+const GLOBAL_LOCATION_ID = '57000249'
+
+const SORT_OPTIONS = [
+  { value: 'fit', label: 'Best fit' },
+  { value: 'winRate', label: 'Win rate' },
+  { value: 'gamesPlayed', label: 'Games played' },
+  { value: 'usageCount', label: 'Most used' },
+]
+
+/**
+ * Format a deck's recorded battle results, e.g. "56% win rate (34 games)".
+ * Returns null when no battles have been recorded for the deck.
+ */
+function formatWinRate(deck) {
+  const gamesPlayed = Number(deck?.gamesPlayed)
+  if (!Number.isFinite(gamesPlayed) || gamesPlayed <= 0 || typeof deck?.winRate !== 'number') {
+    return null
+  }
+
+  const gamesLabel = gamesPlayed === 1 ? 'game' : 'games'
+  return `${Math.round(deck.winRate * 100)}% win rate (${gamesPlayed} ${gamesLabel})`
+}
+
+function formatUsage(deck) {
+  const usageCount = Number(deck?.usageCount)
+  if (!Number.isFinite(usageCount) || usageCount <= 1) return null
+  return `Played by ${usageCount} top players`
+}
+
+function compareByWinRate(a, b) {
+  const aRate = typeof a?.winRate === 'number' ? a.winRate : null
+  const bRate = typeof b?.winRate === 'number' ? b.winRate : null
+  if (aRate == null && bRate == null) return 0
+  if (aRate == null) return 1
+  if (bRate == null) return -1
+  if (bRate !== aRate) return bRate - aRate
+  return (b.gamesPlayed ?? 0) - (a.gamesPlayed ?? 0)
+}
 
 function loadStoredState() {
   if (typeof window === 'undefined') {
@@ -137,6 +181,30 @@ function loadStoredState() {
   }
 }
 
+function loadStoredLocation() {
+  if (typeof window === 'undefined') {
+    return GLOBAL_LOCATION_ID
+  }
+
+  try {
+    return window.localStorage.getItem(STORAGE_LOCATION_KEY) || GLOBAL_LOCATION_ID
+  } catch (error) {
+    return GLOBAL_LOCATION_ID
+  }
+}
+
+function persistLocation(locationId) {
+  if (typeof window === 'undefined') {
+    return
+  }
+
+  try {
+    window.localStorage.setItem(STORAGE_LOCATION_KEY, locationId)
+  } catch (error) {
+    // ignore write failures
+  }
+}
+
 function persistState(ref, index, deckId) {
   if (typeof window === 'undefined') {
     return
@@ -159,6 +227,10 @@ function Explore() {
   const appliedStoredStateRef = useRef(false)
   const [currentIndex, setCurrentIndex] = useState(() => storedStateRef.current.index ?? 0)
   const [filterInput, setFilterInput] = useState('')
+  const [sortMode, setSortMode] = useState('fit')
+  const [locationId, setLocationId] = useState(loadStoredLocation)
+  const [locations, setLocations] = useState([])
+  const fetchRequestRef = useRef(0)
   const swipeStateRef = useRef({
     startX: 0,
     startY: 0,
@@ -169,15 +241,32 @@ function Explore() {
   const [decksError, setDecksError] = useState(null)
   const { cachedPairs, addPairToCache, removePairFromCache } = useDeckCache()
   const { playerTag, currentPlayer } = usePlayerTag()
+  const { catalog } = useCardCatalog()
+
+  // Fetch every deck in one call; the server reads the whole leaderboard for
+  // each request, so paging through it would multiply the reads. A newer
+  // request (e.g. after switching region) supersedes an older one still
+  // in flight.
+  const fetchDecks = async (locationId, includeCardIds) => {
+    const requestId = fetchRequestRef.current + 1
+    fetchRequestRef.current = requestId
+    const isStale = () => fetchRequestRef.current !== requestId
 
-  // Fetch decks from Firestore
-  const fetchDecks = async () => {
     setIsLoadingDecks(true)
     setDecksError(null)
+    setDecks([])
 
     try {
+      const params = new URLSearchParams({ groupBy: 'deck' })
+      if (locationId && locationId !== GLOBAL_LOCATION_ID) {
+        params.set('location', locationId)
+      }
+      if (includeCardIds) {
+        params.set('includeCards', includeCardIds)
+      }
+
       const response = await fetch(
-        'https://us-central1-clash-cache.cloudfunctions.net/getTopPlayersDecks',
+        `https://us-central1-clash-cache.cloudfunctions.net/getTopPlayersDecks?${params}`,
       )
 
       if (!response.ok) {
@@ -188,23 +277,45 @@ function Explore() {
       }
 
       const data = await response.json()
-      if (data.success && Array.isArray(data.decks)) {
-        setDecks(data.decks)
-      } else {
+      if (!data.success || !Array.isArray(data.decks)) {
         throw new Error('Invalid response format')
       }
+
+      if (isStale()) return
+      setDecks(data.decks)
     } catch (error) {
+      if (isStale()) return
       setDecksError(
         error instanceof Error ? error.message : 'Failed to load decks',
       )
       setDecks([])
     } finally {
-      setIsLoadingDecks(false)
+      if (!isStale()) {
+        setIsLoadingDecks(false)
+      }
     }
   }
 
+
+  // Regions are optional; without them the picker only offers Global
   useEffect(() => {
-    fetchDecks()
+    async function fetchLocations() {
+      try {
+        const response = await fetch(
+          'https://us-central1-clash-cache.cloudfunctions.net/getLeaderboardLocations',
+        )
+        if (!response.ok) return
+
+        const data = await response.json()
+        if (data.success && Array.isArray(data.locations)) {
+          setLocations(data.locations)
+        }
+      } catch (error) {
+        // ignore, the picker falls back to Global
+      }
+    }
+
+    fetchLocations()
   }, [])
 
   useEffect(() => {
@@ -214,7 +325,22 @@ function Explore() {
   const hasPlayerTag = Boolean(playerTag)
   const playerCards = Array.isArray(currentPlayer?.cards) ? currentPlayer.cards : []
 
-  const hungarianOptimizer = useMemo(() => createHungarianOptimizer(), [])
+  // Substitutes learned from the decks on offer refine the curated backups
+  const learnedSimilarity = useMemo(() => learnBackupSimilarity(decks), [decks])
+
+  const hungarianOptimizer = useMemo(
+    () => createHungarianOptimizer({ cardCatalog: catalog, learnedSimilarity }),
+    [catalog, learnedSimilarity],
+  )
+  const alternativesOptimizer = useMemo(
+    () =>
+      createHungarianOptimizer({
+        cardCatalog: catalog,
+        learnedSimilarity,
+        alternatives: DECK_ALTERNATIVES,
+      }),
+    [catalog, learnedSimilarity],
+  )
 
   const scoredDecks = useMemo(() => {
     if (!decks.length) return []
@@ -258,6 +384,25 @@ function Explore() {
     return withScores
   }, [decks, hasPlayerTag, currentPlayer, playerCards, hungarianOptimizer])
 
+  // "fit" keeps the optimizer order (or leaderboard rank without a tag);
+  // the other modes sort by results recorded from top players' battle logs.
+  const sortedScoredDecks = useMemo(() => {
+    if (sortMode === 'winRate') {
+      return [...scoredDecks].sort((a, b) => compareByWinRate(a.deck, b.deck))
+    }
+    if (sortMode === 'gamesPlayed') {
+      return [...scoredDecks].sort(
+        (a, b) => (b.deck?.gamesPlayed ?? 0) - (a.deck?.gamesPlayed ?? 0),
+      )
+    }
+    if (sortMode === 'usageCount') {
+      return [...scoredDecks].sort(
+        (a, b) => (b.deck?.usageCount ?? 1) - (a.deck?.usageCount ?? 1),
+      )
+    }
+    return scoredDecks
+  }, [scoredDecks, sortMode])
+
   const filterTokens = useMemo(
     () =>
       filterInput
@@ -267,10 +412,26 @@ function Explore() {
     [filterInput],
   )
 
+  // Without a player tag the filter checks the leaderboard decks themselves,
+  // so tokens naming a card exactly are left to the server's includeCards.
+  // With one it checks the optimized decks, which only exist client-side.
+  const serverCardIds = useMemo(() => {
+    if (hasPlayerTag) return ''
+    const ids = filterTokens
+      .map((token) => catalog.cards.find((card) => card.name.toLowerCase() === token)?.id)
+      .filter((id) => id != null)
+    return [...new Set(ids)].sort((a, b) => a - b).join(',')
+  }, [catalog, filterTokens, hasPlayerTag])
+
+  useEffect(() => {
+    fetchDecks(locationId, serverCardIds)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [locationId, serverCardIds])
+
   const filteredScoredDecks = useMemo(() => {
-    if (!filterTokens.length) return scoredDecks
+    if (!filterTokens.length) return sortedScoredDecks
 
-    return scoredDecks.filter(({ deck, optimizedDeck }) => {
+    return sortedScoredDecks.filter(({ deck, optimizedDeck }) => {
       const decksToCheck =
         hasPlayerTag && optimizedDeck ? [optimizedDeck] : [deck]
 
@@ -284,7 +445,7 @@ function Explore() {
         ),
       )
     })
-  }, [filterTokens, hasPlayerTag, scoredDecks])
+  }, [filterTokens, hasPlayerTag, sortedScoredDecks])
 
   const totalDecks = filteredScoredDecks.length
 
@@ -350,7 +511,15 @@ function Explore() {
   }, [currentIndex, totalDecks, filteredScoredDecks])
 
   const currentDeck = currentEntry ? currentEntry.deck : null
-  const optimizedDeck = currentEntry ? currentEntry.optimizedDeck : null
+  // Alternatives are only enumerated for the deck on screen; scoring the
+  // whole list needs just the best assignment
+  const optimizedDeck = useMemo(() => {
+    if (!currentEntry?.optimizedDeck) return null
+    return (
+      optimizeDeck(currentEntry.deck, playerCards, alternativesOptimizer) ??
+      currentEntry.optimizedDeck
+    )
+  }, [alternativesOptimizer, currentEntry, playerCards])
   const optimizationScore =
     currentEntry && typeof currentEntry.score === 'number'
       ? currentEntry.score
@@ -476,14 +645,16 @@ function Explore() {
     removePairFromCache(currentDeck.id)
   }, [currentDeck, isCurrentSaved, removePairFromCache])
 
-  const handleSavePair = useCallback(() => {
+  // DeckOptPair passes the option it is showing; without one the
+  // optimizer's best deck is saved
+  const handleSavePair = useCallback((option, score) => {
     if (!currentDeck || isCurrentSaved) return
 
     addPairToCache({
       pairId: currentDeck.id,
       originalDeck: currentDeck,
-      optimizedDeck: optimizedDeck ?? null,
-      optimizationScore,
+      optimizedDeck: option ?? optimizedDeck ?? null,
+      optimizationScore: option ? score : optimizationScore,
       ownerName: resolveOwner(currentDeck),
     })
   }, [addPairToCache, currentDeck, isCurrentSaved, optimizationScore, optimizedDeck])
@@ -507,6 +678,54 @@ function Explore() {
             setCurrentIndex(0)
           }}
         />
+        <label className={styles.filterLabel} htmlFor="deck-region">
+          Region
+        </label>
+        <select
+          id="deck-region"
+          className={styles.filterInput}
+          value={locationId}
+          onChange={(event) => {
+            appliedStoredStateRef.current = false
+            storedStateRef.current = { index: 0, deckId: null }
+            persistLocation(event.target.value)
+            setLocationId(event.target.value)
+            setCurrentIndex(0)
+          }}
+        >
+          {!locations.some((location) => location.id === GLOBAL_LOCATION_ID) && (
+            <option value={GLOBAL_LOCATION_ID}>Global</option>
+          )}
+          {!locations.some((location) => location.id === locationId) &&
+            locationId !== GLOBAL_LOCATION_ID && (
+              <option value={locationId}>{locationId}</option>
+            )}
+          {locations.map((location) => (
+            <option key={location.id} value={location.id}>
+              {location.name}
+            </option>
+          ))}
+        </select>
+        <label className={styles.filterLabel} htmlFor="deck-sort">
+          Sort by
+        </label>
+        <select
+          id="deck-sort"
+          className={styles.filterInput}
+          value={sortMode}
+          onChange={(event) => {
+            appliedStoredStateRef.current = false
+            storedStateRef.current = { index: 0, deckId: null }
+            setSortMode(event.target.value)
+            setCurrentIndex(0)
+          }}
+        >
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
       </header>
 
       {isLoadingDecks ? (
@@ -541,6 +760,7 @@ function Explore() {
               <>
                 {hasPlayerTag ? (
                   <DeckOptPair
+                    key={currentDeck.id}
                     originalDeck={currentDeck}
                     optimizedDeck={optimizedDeck}
                     optimizationScore={optimizationScore ?? undefined}
@@ -560,12 +780,20 @@ function Explore() {
                     {(() => {
                       const { owner, rank } = extractOwnerAndRank(currentDeck)
                       if (!owner) return null
+                      const winRateLabel = formatWinRate(currentDeck)
+                      const usageLabel = formatUsage(currentDeck)
                       return (
                         <div className={styles.deckOwnerInfo}>
                           <span className={styles.deckOwnerName}>{owner}</span>
                           {rank !== null && (
                             <span className={styles.deckOwnerRank}>Rank #{rank}</span>
                           )}
+                          {winRateLabel && (
+                            <span className={styles.deckOwnerRank}>{winRateLabel}</span>
+                          )}
+                          {usageLabel && (
+                            <span className={styles.deckOwnerRank}>{usageLabel}</span>
+                          )}
                         </div>
                       )
                     })()}
@@ -582,7 +810,7 @@ function Explore() {
                         <button
                           type="button"
                           className={`${styles.actionButton} ${isCurrentSaved ? styles.actionButtonSaved : styles.actionButtonSave}`}
-                          onClick={isCurrentSaved ? handleRemoveFromCache : handleSavePair}
+                          onClick={isCurrentSaved ? handleRemoveFromCache : () => handleSavePair()}
                         >
                           <FaBoxOpen aria-hidden="true" />
                           <span>{isCurrentSaved ? 'Remove from cache' : 'Save to cache'}</span>
@@ -0,0 +1,208 @@
+import { useEffect, useMemo, useState } from 'react'
+import { usePlayerTag } from '../../state/PlayerTagContext.jsx'
+import { useCardCatalog } from '../../state/CardCatalogContext.jsx'
+import { createHungarianOptimizer } from '../../services/deckOptimizer'
+import { planUpgrades } from '../../services/upgradePlanner'
+import styles from './Upgrades.module.css'
+
+const STEP_LIMIT = 30
+
+function formatNumber(value) {
+  return Number.isFinite(value) ? value.toLocaleString() : '–'
+}
+
+function formatCost(step) {
+  if (step.action === 'unlock') return 'Find the card'
+  if (!step.cost) return 'Elite upgrade'
+  return `${formatNumber(step.cost.gold)} gold`
+}
+
+/**
+ * Ranks the single card upgrades (and unlocks) that most improve the
+ * player's optimized versions of the leaderboard decks.
+ */
+function Upgrades() {
+  const { currentPlayer, playerTag } = usePlayerTag()
+  const { catalog } = useCardCatalog()
+  const [decks, setDecks] = useState([])
+  const [isLoadingDecks, setIsLoadingDecks] = useState(true)
+  const [decksError, setDecksError] = useState(null)
+  const [steps, setSteps] = useState([])
+  const [isPlanning, setIsPlanning] = useState(false)
+  const [planProgress, setPlanProgress] = useState(null)
+
+  const playerCards = useMemo(() => {
+    return Array.isArray(currentPlayer?.cards) ? currentPlayer.cards : []
+  }, [currentPlayer?.cards])
+
+  const hasPlayerTag = Boolean(playerTag)
+
+  useEffect(() => {
+    async function fetchDecks() {
+      setIsLoadingDecks(true)
+      setDecksError(null)
+
+      try {
+        const response = await fetch(
+          'https://us-central1-clash-cache.cloudfunctions.net/getTopPlayersDecks',
+        )
+
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}))
+          throw new Error(
+            errorData.error || `Request failed with status ${response.status}`,
+          )
+        }
+
+        const data = await response.json()
+        if (data.success && Array.isArray(data.decks)) {
+          setDecks(data.decks)
+        } else {
+          throw new Error('Invalid response format')
+        }
+      } catch (error) {
+        setDecksError(
+          error instanceof Error ? error.message : 'Failed to load decks',
+        )
+        setDecks([])
+      } finally {
+        setIsLoadingDecks(false)
+      }
+    }
+
+    fetchDecks()
+  }, [])
+
+  // Planning re-runs the optimizer once per card and deck; planUpgrades
+  // works in chunks so the page stays responsive, and a newer plan aborts
+  // the one in flight
+  useEffect(() => {
+    if (!decks.length || !playerCards.length) {
+      setSteps([])
+      setIsPlanning(false)
+      return undefined
+    }
+
+    const controller = new AbortController()
+    setIsPlanning(true)
+    setPlanProgress(null)
+
+    const optimizer = createHungarianOptimizer({ cardCatalog: catalog })
+    planUpgrades(decks, playerCards, {
+      optimizer,
+      cardCatalog: catalog,
+      signal: controller.signal,
+      onProgress: (done, total) => {
+        if (!controller.signal.aborted) setPlanProgress({ done, total })
+      },
+    }).then((plannedSteps) => {
+      if (controller.signal.aborted || !plannedSteps) return
+      setSteps(plannedSteps)
+      setIsPlanning(false)
+    })
+
+    return () => controller.abort()
+  }, [decks, playerCards, catalog])
+
+  const visibleSteps = steps.slice(0, STEP_LIMIT)
+
+  return (
+    <article className={styles.upgradesRoot}>
+      <div className={styles.contentWrapper}>
+        <header className={styles.header}>
+          <h2 className={styles.title}>Upgrade Planner</h2>
+          <p className={styles.subtitle}>
+            Which single upgrade helps the most leaderboard decks? Each card is upgraded one
+            level (or unlocked) and every deck is re-optimized for your collection.
+          </p>
+        </header>
+
+        {!hasPlayerTag && (
+          <div className={styles.warning}>
+            <p>Please enter your player tag to plan upgrades.</p>
+          </div>
+        )}
+
+        {decksError && (
+          <div className={styles.error}>
+            <h2>Error</h2>
+            <p>{decksError}</p>
+          </div>
+        )}
+
+        {hasPlayerTag && (isLoadingDecks || isPlanning) && (
+          <div className={styles.loading}>
+            {isLoadingDecks
+              ? 'Loading decks...'
+              : planProgress
+                ? `Planning upgrades... (${planProgress.done} of ${planProgress.total} cards)`
+                : 'Planning upgrades...'}
+          </div>
+        )}
+
+        {hasPlayerTag && !isLoadingDecks && !isPlanning && !decksError && (
+          visibleSteps.length === 0 ? (
+            <p className={styles.emptyState}>
+              No single upgrade improves your leaderboard decks right now.
+            </p>
+          ) : (
+            <div className={styles.panel}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th scope="col">Card</th>
+                    <th scope="col">Step</th>
+                    <th scope="col">Decks unlocked</th>
+                    <th scope="col">Decks improved</th>
+                    <th scope="col">Score gain</th>
+                    <th scope="col">Cards</th>
+                    <th scope="col">Cost</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleSteps.map((step) => {
+                    const card = catalog.toDisplayCard(step.name)
+                    const hasEnoughCards =
+                      step.cost && step.cardsOwned !== null && step.cardsOwned >= step.cost.cards
+                    return (
+                      <tr key={`${step.action}-${step.name}`}>
+                        <td>
+                          <span className={styles.cardCell}>
+                            {card?.image && (
+                              <img className={styles.cardIcon} src={card.image} alt="" />
+                            )}
+                            {step.name}
+                          </span>
+                        </td>
+                        <td>
+                          {step.action === 'unlock'
+                            ? `Unlock (Lv ${step.toLevel})`
+                            : `Lv ${step.fromLevel} → ${step.toLevel}`}
+                        </td>
+                        <td>{step.decksUnlocked}</td>
+                        <td>{step.decksImproved}</td>
+                        <td>{step.levelGain > 0 ? `+${step.levelGain.toFixed(1)}` : '–'}</td>
+                        <td className={hasEnoughCards ? styles.enough : undefined}>
+                          {step.cost
+                            ? `${formatNumber(step.cardsOwned)} / ${formatNumber(step.cost.cards)}`
+                            : '–'}
+                        </td>
+                        <td>{formatCost(step)}</td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+              <p className={styles.footnote}>
+                Score gain is in card levels summed over the decks improved. Showing the top{' '}
+                {visibleSteps.length} of {steps.length} helpful steps.
+              </p>
+            </div>
+          )
+        )}
+      </div>
+    </article>
+  )
+}
+
+export default Upgrades
@@ -13,6 +13,7 @@ function Overview() {
     currentPlayer,
     isLoadingPlayer,
     playerError,
+    playerFreshness,
     loadPlayerForTag,
   } = usePlayerTag()
 
@@ -20,9 +21,10 @@ function Overview() {
     setPlayerTag(event.target.value)
   }
 
+  // An explicit load always fetches fresh data; restored tags use the cache
   const handlePlayerTagSubmit = (event) => {
     event.preventDefault()
-    loadPlayerForTag(playerTag)
+    loadPlayerForTag(playerTag, { force: true })
   }
 
   const handleClearPlayerTag = () => {
@@ -92,6 +94,14 @@ function Overview() {
                 {playerError}
               </div>
             ) : null}
+            {currentPlayer && playerFreshness?.lastUpdated ? (
+              <p className={styles.freshness}>
+                {playerFreshness.cacheStatus === 'STALE'
+                  ? 'Clash Royale is not responding, showing data from '
+                  : 'Updated '}
+                {new Date(playerFreshness.lastUpdated).toLocaleString()}
+              </p>
+            ) : null}
           </form>
           <button 
             type="button" 
@@ -0,0 +1,270 @@
+/**
+ * Learned Backup Similarity
+ *
+ * Learns how well one card substitutes for another from leaderboard decks.
+ * Two cards are good substitutes when they are played alongside the same
+ * cards (similar contexts) but rarely in the same deck. Each card's context
+ * is its positive pointwise mutual information (PPMI) with every other card;
+ * similarity is the cosine of two contexts, scaled down by how often the two
+ * cards are played together.
+ *
+ * The learned model complements the hand-maintained card_backups.json: the
+ * Hungarian optimizer can blend it into its compatibility stars, and
+ * compareWithCurated() reports where the two agree and disagree.
+ */
+
+import cardBackups from '../data/card_backups.json'
+
+// Cards played in fewer decks than this are too rare to learn from
+const DEFAULT_MIN_DECKS = 5
+
+// Similarity at or above which a learned pair rates 3 (or 2) stars
+const THREE_STAR_SIMILARITY = 0.6
+const TWO_STAR_SIMILARITY = 0.35
+
+// Curated backups below this similarity are reported as unsupported
+const DEFAULT_DISAGREE_SIMILARITY = 0.2
+
+function normalizeName(name) {
+  return String(name || '').trim()
+}
+
+function deckWeight(deck) {
+  const usageCount = Number(deck?.usageCount)
+  return Number.isFinite(usageCount) && usageCount > 0 ? usageCount : 1
+}
+
+/**
+ * Map a similarity in [0, 1] to a 1–3 star rating on the card_backups.json
+ * scale.
+ *
+ * @param {number} similarity
+ * @returns {number}
+ */
+function similarityToStars(similarity) {
+  if (similarity >= THREE_STAR_SIMILARITY) return 3
+  if (similarity >= TWO_STAR_SIMILARITY) return 2
+  return 1
+}
+
+/**
+ * Learn card substitutability from leaderboard decks.
+ *
+ * @param {Array} decks - Decks with `cards` (and optionally `usageCount`,
+ *   used as the deck's weight when decks are grouped)
+ * @param {Object} [options]
+ * @param {number} [options.minDecks] - Minimum (weighted) decks a card must
+ *   appear in to be modeled
+ * @returns {{deckCount: number, cardCounts: Map<string, number>,
+ *   similarity: Map<string, Map<string, number>>}} Model for
+ *   getLearnedSimilarity / getLearnedBackups
+ */
+function learnBackupSimilarity(decks, options = {}) {
+  const minDecks = Number.isFinite(options.minDecks) ? options.minDecks : DEFAULT_MIN_DECKS
+  const cardCounts = new Map()
+  const pairCounts = new Map()
+  let deckCount = 0
+
+  const addPair = (a, b, weight) => {
+    if (!pairCounts.has(a)) pairCounts.set(a, new Map())
+    const row = pairCounts.get(a)
+    row.set(b, (row.get(b) || 0) + weight)
+  }
+
+  const safeDecks = Array.isArray(decks) ? decks : []
+  safeDecks.forEach((deck) => {
+    if (!Array.isArray(deck?.cards)) return
+    const names = [...new Set(deck.cards.map((card) => normalizeName(card?.name)).filter(Boolean))]
+    if (names.length < 2) return
+
+    const weight = deckWeight(deck)
+    deckCount += weight
+    names.forEach((name, i) => {
+      cardCounts.set(name, (cardCounts.get(name) || 0) + weight)
+      for (let j = i + 1; j < names.length; j += 1) {
+        addPair(name, names[j], weight)
+        addPair(names[j], name, weight)
+      }
+    })
+  })
+
+  const modeled = [...cardCounts.keys()].filter((name) => cardCounts.get(name) >= minDecks)
+
+  // PPMI context vector per modeled card, over the other modeled cards
+  const contexts = new Map()
+  modeled.forEach((name) => {
+    const context = new Map()
+    const row = pairCounts.get(name) || new Map()
+    modeled.forEach((other) => {
+      const together = row.get(other) || 0
+      if (other === name || !together) return
+      const pmi = Math.log((together * deckCount) / (cardCounts.get(name) * cardCounts.get(other)))
+      if (pmi > 0) context.set(other, pmi)
+    })
+    contexts.set(name, context)
+  })
+
+  // Cosine of the two contexts, leaving out the two cards themselves so
+  // playing together does not count as a shared context
+  const cosine = (a, b) => {
+    const contextA = contexts.get(a)
+    const contextB = contexts.get(b)
+    let dot = 0
+    let normA = 0
+    let normB = 0
+    contextA.forEach((value, other) => {
+      if (other === b) return
+      normA += value * value
+      if (contextB.has(other)) dot += value * contextB.get(other)
+    })
+    contextB.forEach((value, other) => {
+      if (other !== a) normB += value * value
+    })
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0
+  }
+
+  const similarity = new Map(modeled.map((name) => [name, new Map()]))
+  modeled.forEach((a, i) => {
+    for (let j = i + 1; j < modeled.length; j += 1) {
+      const b = modeled[j]
+      const together = pairCounts.get(a)?.get(b) || 0
+      const exclusivity =
+        1 - together / Math.min(cardCounts.get(a), cardCounts.get(b))
+      const value = Math.max(0, cosine(a, b) * exclusivity)
+      similarity.get(a).set(b, value)
+      similarity.get(b).set(a, value)
+    }
+  })
+
+  return { deckCount, cardCounts, similarity }
+}
+
+/**
+ * Learned similarity between two cards, or null when either card was too
+ * rare in the decks to be modeled.
+ *
+ * @param {Object} model - From learnBackupSimilarity
+ * @param {string} a
+ * @param {string} b
+ * @returns {number|null}
+ */
+function getLearnedSimilarity(model, a, b) {
+  const nameA = normalizeName(a)
+  const nameB = normalizeName(b)
+  const row = model?.similarity?.get(nameA)
+  if (!row || !model.similarity.has(nameB)) return null
+  if (nameA === nameB) return 1
+  return row.get(nameB) ?? 0
+}
+
+/**
+ * A card's best learned substitutes, most similar first.
+ *
+ * @param {Object} model - From learnBackupSimilarity
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {number} [options.minSimilarity] - Default 0
+ * @param {number} [options.limit] - Default all
+ * @returns {Array<{name: string, similarity: number, stars: number}>}
+ */
+function getLearnedBackups(model, name, options = {}) {
+  const row = model?.similarity?.get(normalizeName(name))
+  if (!row) return []
+
+  const minSimilarity = Number.isFinite(options.minSimilarity) ? options.minSimilarity : 0
+  const backups = [...row.entries()]
+    .filter(([, similarity]) => similarity > 0 && similarity >= minSimilarity)
+    .sort((a, b) => b[1] - a[1])
+    .map(([backupName, similarity]) => ({
+      name: backupName,
+      similarity,
+      stars: similarityToStars(similarity),
+    }))
+
+  return Number.isInteger(options.limit) ? backups.slice(0, options.limit) : backups
+}
+
+/**
+ * Compare the learned model with the curated backup list.
+ *
+ * @param {Object} model - From learnBackupSimilarity
+ * @param {Array} [curated] - Entries shaped like card_backups.json
+ * @param {Object} [options]
+ * @param {number} [options.disagreeSimilarity] - Curated pairs below this
+ *   are listed as unsupported
+ * @param {number} [options.limit] - Rows per list (default 25)
+ * @returns {Object} { deckCount, modeledCards, curatedPairs, modeledPairs,
+ *   starCounts ({1, 2, 3}: learned stars of modeled curated pairs),
+ *   meanCuratedSimilarity, meanOtherSimilarity, unsupported, missing }
+ */
+function compareWithCurated(model, curated = cardBackups, options = {}) {
+  const disagreeSimilarity = Number.isFinite(options.disagreeSimilarity)
+    ? options.disagreeSimilarity
+    : DEFAULT_DISAGREE_SIMILARITY
+  const limit = Number.isInteger(options.limit) ? options.limit : 25
+
+  const curatedKeys = new Set()
+  const curatedRows = []
+  const safeCurated = Array.isArray(curated) ? curated : []
+  safeCurated.forEach((entry) => {
+    const name = normalizeName(entry?.name)
+    if (!name || !Array.isArray(entry.backups)) return
+    entry.backups.forEach((backup) => {
+      const backupName = normalizeName(backup?.name)
+      if (!backupName) return
+      curatedKeys.add(`${name}|${backupName}`)
+      curatedRows.push({
+        name,
+        backup: backupName,
+        curatedStars: Number.isFinite(backup.stars) ? backup.stars : null,
+        similarity: getLearnedSimilarity(model, name, backupName),
+      })
+    })
+  })
+
+  const modeledRows = curatedRows.filter((row) => row.similarity !== null)
+  const starCounts = { 1: 0, 2: 0, 3: 0 }
+  modeledRows.forEach((row) => {
+    row.learnedStars = similarityToStars(row.similarity)
+    starCounts[row.learnedStars] += 1
+  })
+
+  // Learned pairs the curated list leaves out, in either direction
+  const otherRows = []
+  model?.similarity?.forEach((row, name) => {
+    row.forEach((similarity, backupName) => {
+      if (curatedKeys.has(`${name}|${backupName}`)) return
+      otherRows.push({ name, backup: backupName, similarity })
+    })
+  })
+
+  const mean = (rows) =>
+    rows.length ? rows.reduce((sum, row) => sum + row.similarity, 0) / rows.length : null
+
+  return {
+    deckCount: model?.deckCount ?? 0,
+    modeledCards: model?.similarity?.size ?? 0,
+    curatedPairs: curatedRows.length,
+    modeledPairs: modeledRows.length,
+    starCounts,
+    meanCuratedSimilarity: mean(modeledRows),
+    meanOtherSimilarity: mean(otherRows),
+    unsupported: modeledRows
+      .filter((row) => row.similarity < disagreeSimilarity)
+      .sort((a, b) => a.similarity - b.similarity)
+      .slice(0, limit),
+    missing: otherRows
+      .filter((row) => row.similarity >= TWO_STAR_SIMILARITY)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit)
+      .map((row) => ({ ...row, learnedStars: similarityToStars(row.similarity) })),
+  }
+}
+
+export {
+  similarityToStars,
+  learnBackupSimilarity,
+  getLearnedSimilarity,
+  getLearnedBackups,
+  compareWithCurated,
+}
@@ -0,0 +1,139 @@
+/**
+ * Card Catalog
+ *
+ * Shared card metadata (elixir, rarity, max level, evolution availability,
+ * icons) for every card in the game, served by the getCards function. Lets
+ * the UI render and the optimizers reason about cards the player does not
+ * own, which their player profile cannot describe.
+ */
+
+const CARD_CATALOG_URL = 'https://us-central1-clash-cache.cloudfunctions.net/getCards'
+const CATALOG_STORAGE_KEY = 'clash-cache-card-catalog-v1'
+// The catalog only changes with game updates
+const CATALOG_STORAGE_TTL_MS = 12 * 60 * 60 * 1000
+
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase()
+}
+
+/**
+ * Build a catalog with id and name lookups over the given cards.
+ *
+ * @param {Array} cards - Catalog cards as returned by getCards
+ * @returns {Object} Catalog instance
+ */
+function createCardCatalog(cards) {
+  const safeCards = Array.isArray(cards) ? cards.filter((card) => card && card.name) : []
+  const byId = new Map()
+  const byName = new Map()
+
+  safeCards.forEach((card) => {
+    if (card.id != null) byId.set(String(card.id), card)
+    byName.set(normalizeName(card.name), card)
+  })
+
+  /**
+   * Look up a card by id, name, or any object carrying one of them.
+   */
+  const getCard = (ref) => {
+    if (ref == null) return null
+    if (typeof ref === 'object') {
+      return (ref.id != null && byId.get(String(ref.id))) || byName.get(normalizeName(ref.name)) || null
+    }
+    return byId.get(String(ref)) || byName.get(normalizeName(ref)) || null
+  }
+
+  /**
+   * Build the card object used by Deck/Card for any card. Player card data
+   * (level, icons) wins over the catalog; the catalog fills in the rest.
+   * Cards without a level are not in the player's collection and are marked
+   * `owned: false` so they are not shown at a made-up level.
+   *
+   * @param {string|number|Object} ref - Card id, name, or card object
+   * @param {Object} [playerCard] - Matching card from the player's collection
+   * @returns {Object|null}
+   */
+  const toDisplayCard = (ref, playerCard) => {
+    const entry = getCard(playerCard || ref)
+    const base = typeof ref === 'object' && ref !== null ? ref : {}
+    const name = playerCard?.name ?? base.name ?? entry?.name ?? (typeof ref === 'object' ? null : ref)
+    if (!name) return null
+    const level = playerCard?.level ?? base.level
+
+    return {
+      ...base,
+      id: playerCard?.id ?? base.id ?? entry?.id ?? String(name),
+      name,
+      image: playerCard?.iconUrls?.medium || base.image || entry?.iconUrl || '',
+      evolutionImage:
+        playerCard?.iconUrls?.evolutionMedium || base.evolutionImage || entry?.evolutionIconUrl || null,
+      level,
+      owned: Number.isFinite(level),
+      evolutionLevel: playerCard?.evolutionLevel ?? base.evolutionLevel,
+      rarity: playerCard?.rarity ?? base.rarity ?? entry?.rarity ?? undefined,
+      elixirCost: entry?.elixirCost ?? base.elixirCost ?? null,
+    }
+  }
+
+  return {
+    cards: safeCards,
+    size: safeCards.length,
+    getCard,
+    toDisplayCard,
+    getElixirCost: (ref) => getCard(ref)?.elixirCost ?? null,
+    getRarity: (ref) => getCard(ref)?.rarity ?? null,
+    hasEvolution: (ref) => Boolean(getCard(ref)?.hasEvolution),
+  }
+}
+
+const EMPTY_CARD_CATALOG = createCardCatalog([])
+
+function loadStoredCatalog() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CATALOG_STORAGE_KEY))
+    if (
+      stored &&
+      Array.isArray(stored.cards) &&
+      Date.now() - stored.storedAt < CATALOG_STORAGE_TTL_MS
+    ) {
+      return stored.cards
+    }
+  } catch {
+    // ignore storage and JSON errors, the catalog is refetched
+  }
+  return null
+}
+
+function storeCatalog(cards) {
+  try {
+    localStorage.setItem(CATALOG_STORAGE_KEY, JSON.stringify({ cards, storedAt: Date.now() }))
+  } catch {
+    // ignore quota errors, the catalog is refetched next time
+  }
+}
+
+/**
+ * Fetch catalog cards, reusing a copy from localStorage while it is fresh.
+ *
+ * @returns {Promise<Array>} Catalog cards
+ */
+async function fetchCardCatalog() {
+  const stored = loadStoredCatalog()
+  if (stored) return stored
+
+  const response = await fetch(CARD_CATALOG_URL)
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}))
+    throw new Error(errorData.error || `Request failed with status ${response.status}`)
+  }
+
+  const data = await response.json()
+  if (!data.success || !Array.isArray(data.cards)) {
+    throw new Error('Invalid response format')
+  }
+
+  storeCatalog(data.cards)
+  return data.cards
+}
+
+export { createCardCatalog, fetchCardCatalog, EMPTY_CARD_CATALOG }
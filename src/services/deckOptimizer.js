@@ -1,5 +1,18 @@
 import cardBackups from '../data/card_backups.json'
+import { getLearnedBackups, getLearnedSimilarity } from './backupSimilarity'
 import { mapCardLevels } from '../utils/cardLevelMapper'
+import { computeElixirStats, getCardElixirCost } from '../utils/deckElixir'
+import {
+  EVOLUTION_SLOT_INDICES,
+  HERO_SLOT_INDICES,
+  MAX_CHAMPIONS,
+  MAX_EVOLUTIONS,
+  arrangeDeckSlots,
+  buildPlayerEvolutions,
+  isChampion,
+  isEvolved,
+  isHeroCard,
+} from '../utils/deckSlots'
 
 // BIG and INF are sentinel values used by the Hungarian algorithm.
 // Costs are built as: cost = 1 - score, where score is typically in [0, 1].
@@ -18,6 +31,28 @@ const RARITY_LEVEL_BONUS = {
   champion: 10,
 }
 
+// Score penalty per elixir the deck's average moves away from the original
+// deck's. Swaps that cancel out cost nothing; a lone 2 -> 5 elixir swap moves
+// the average by 0.375 (about 1.6 stars).
+const ELIXIR_DRIFT_PENALTY = 0.24
+
+// Score bonus for a card the player has evolved, worth one compatibility
+// star. arrangeDeckSlots moves evolved cards into the evolution slots, so
+// the bonus does not depend on the slot being filled, but only
+// MAX_EVOLUTIONS cards can collect it. Evolution slots whose leaderboard
+// card is evolved count it towards the best possible score, so decks whose
+// evolutions the player lacks rate lower.
+const EVOLUTION_BONUS = 1 / 18.0
+
+// Learned substitutes (services/backupSimilarity) that are not in the
+// curated list become candidates at this similarity or above, at most
+// LEARNED_BACKUP_LIMIT per card
+const LEARNED_BACKUP_MIN_SIMILARITY = 0.6
+const LEARNED_BACKUP_LIMIT = 3
+
+// Default weight of learned similarity against curated stars
+const DEFAULT_SIMILARITY_WEIGHT = 0.5
+
 /**
  * Build lookup of backup definitions by card name.
  */
@@ -44,9 +79,16 @@ const cardsByName = buildCardsByName()
  * Given an original card name and a candidate card name, determine whether the
  * candidate is valid for this slot and return its compatibility info.
  *
- * Returns { stars, orderIdx } or null if invalid.
+ * With a learned similarity model (`learned.model`, from
+ * services/backupSimilarity), curated stars are blended with the learned
+ * rating (1 + 2 * similarity) by `learned.weight`, and strong learned
+ * substitutes missing from the curated list are valid too, blended against
+ * the 1-star floor.
+ *
+ * Returns { stars, orderIdx, source ('original'|'curated'|'learned') } or
+ * null if invalid.
  */
-function slotCandidateInfo(originalName, candidateName) {
+function slotCandidateInfo(originalName, candidateName, learned = null) {
   const orig = String(originalName || '').trim()
   const cand = String(candidateName || '').trim()
 
@@ -54,20 +96,27 @@ function slotCandidateInfo(originalName, candidateName) {
 
   // Original card is always valid with highest compatibility
   if (orig === cand) {
-    return { stars: 3, orderIdx: -1 }
+    return { stars: 3, orderIdx: -1, source: 'original' }
   }
 
+  const similarity = learned?.model ? getLearnedSimilarity(learned.model, orig, cand) : null
+  const blend = (stars) =>
+    similarity === null ? stars : (1 - learned.weight) * stars + learned.weight * (1 + 2 * similarity)
+
   const entry = cardsByName.get(orig)
-  if (!entry || !Array.isArray(entry.backups)) return null
+  const backups = entry && Array.isArray(entry.backups) ? entry.backups : []
 
-  const idx = entry.backups.findIndex((b) => b && String(b.name || '').trim() === cand)
-  if (idx === -1) return null
+  const idx = backups.findIndex((b) => b && String(b.name || '').trim() === cand)
+  if (idx === -1) {
+    if (similarity === null || similarity < LEARNED_BACKUP_MIN_SIMILARITY) return null
+    return { stars: blend(1), orderIdx: backups.length, source: 'learned' }
+  }
 
-  const backup = entry.backups[idx]
+  const backup = backups[idx]
   const stars =
     typeof backup.stars === 'number' && Number.isFinite(backup.stars) ? backup.stars : 1
 
-  return { stars, orderIdx: idx }
+  return { stars: blend(stars), orderIdx: idx, source: 'curated' }
 }
 
 /**
@@ -105,6 +154,33 @@ function buildPlayerLevels(playerCards) {
   return levels
 }
 
+/**
+ * Build a map of elixir cost by card name from the deck's and player's card
+ * data, using the card catalog for cards neither carries a cost for.
+ */
+function buildElixirCosts(deckCards, playerCards, cardCatalog) {
+  const costs = new Map()
+  const lookup = cardCatalog ? (card) => cardCatalog.getElixirCost(card) : undefined
+
+  const knownCards = [...(deckCards || []), ...(Array.isArray(playerCards) ? playerCards : [])]
+  knownCards.forEach((card) => {
+    if (!card || !card.name) return
+    const name = String(card.name).trim()
+    if (costs.has(name)) return
+    const cost = getCardElixirCost(card, lookup)
+    if (cost !== null) costs.set(name, cost)
+  })
+
+  return {
+    get: (name) => {
+      if (costs.has(name)) return costs.get(name)
+      const cost = lookup ? getCardElixirCost(name, lookup) : null
+      costs.set(name, cost)
+      return cost
+    },
+  }
+}
+
 /**
  * Hungarian algorithm implementation for minimizing total cost.
  *
@@ -198,6 +274,281 @@ function hungarianMinimize(cost) {
   return colForRow
 }
 
+/**
+ * Copy a cost matrix with Murty partition constraints applied: forbidden
+ * edges get BIG, and a forced edge blocks every other edge in its row and
+ * column.
+ */
+function applyAssignmentConstraints(cost, forced, forbidden) {
+  const constrained = cost.map((row) => [...row])
+
+  forbidden.forEach(([row, col]) => {
+    constrained[row][col] = BIG
+  })
+
+  forced.forEach(([row, col]) => {
+    for (let j = 0; j < constrained[row].length; j += 1) {
+      if (j !== col) constrained[row][j] = BIG
+    }
+    for (let i = 0; i < constrained.length; i += 1) {
+      if (i !== row) constrained[i][col] = BIG
+    }
+  })
+
+  return constrained
+}
+
+/**
+ * All ways to pick `size` items from `items`, in order.
+ */
+function combinations(items, size) {
+  if (size === 0) return [[]]
+  if (items.length < size) return []
+  const [first, ...rest] = items
+  return [
+    ...combinations(rest, size - 1).map((combo) => [first, ...combo]),
+    ...combinations(rest, size),
+  ]
+}
+
+/**
+ * Count how many rows of an assignment a column limit applies to. Rows a
+ * soft limit exempts do not count.
+ */
+function countLimitedColumns(colForRow, limit) {
+  const limited = new Set(limit.columns)
+  return colForRow.filter(
+    (col, row) => limited.has(col) && !(limit.exempt && limit.exempt(row, col)),
+  ).length
+}
+
+/**
+ * Copy a cost matrix with column limits modeled as capacity. Each limit
+ * adds `columns.length - max` rows that may only take one of its columns, at
+ * no cost, which leaves at most `max` of them to the real rows. The added
+ * rows of a soft limit may instead take an overflow column at `excess`, so
+ * every use past the cap is charged once. Limits must not share columns.
+ */
+function applyColumnCapacity(matrix, columnLimits) {
+  const numCols = matrix.reduce((max, row) => Math.max(max, row.length), 0)
+  const capacities = columnLimits
+    .map((limit) => ({ limit, extraRows: limit.columns.length - limit.max }))
+    .filter(({ extraRows }) => extraRows > 0)
+  const width = capacities.reduce(
+    (sum, { limit, extraRows }) => sum + (limit.excess === undefined ? 0 : extraRows),
+    numCols,
+  )
+
+  const expanded = matrix.map((values) => [...values, ...Array(width - values.length).fill(BIG)])
+  let nextOverflow = numCols
+
+  capacities.forEach(({ limit, extraRows }) => {
+    const overflowCols = limit.excess === undefined ? 0 : extraRows
+    const firstOverflow = nextOverflow
+    nextOverflow += overflowCols
+
+    for (let i = 0; i < extraRows; i += 1) {
+      const values = Array(width).fill(BIG)
+      limit.columns.forEach((col) => {
+        values[col] = 0
+      })
+      for (let col = firstOverflow; col < firstOverflow + overflowCols; col += 1) {
+        values[col] = limit.excess
+      }
+      expanded.push(values)
+    }
+  })
+
+  return expanded
+}
+
+/**
+ * Run the Hungarian algorithm on a constrained matrix with its column limits
+ * and total up the chosen edges, or return null if any row had to take an
+ * invalid edge.
+ */
+function solveAssignment(constrained, columnLimits = []) {
+  const expanded = applyColumnCapacity(constrained, columnLimits)
+  const colForRow = hungarianMinimize(expanded)
+
+  let total = 0
+  for (let row = 0; row < expanded.length; row += 1) {
+    const col = colForRow[row]
+    if (col < 0 || expanded[row][col] >= BIG) return null
+    total += expanded[row][col]
+  }
+
+  return { colForRow: colForRow.slice(0, constrained.length), total }
+}
+
+/**
+ * Split a soft limit with exemptions into cases that capacity can model.
+ * Columns used both in exempt and in counted rows are each either kept to
+ * their exempt rows and left out of the limit, or kept out of them; columns
+ * never used in a counted row never count. At most one column per exempt
+ * row is worth exempting, which bounds the number of cases.
+ *
+ * @returns {Array<{limit: Object, blocked: number[][]}>} Limit to apply and
+ *   the edges it rules out, per case
+ */
+function exemptionCases(matrix, limit) {
+  if (!limit.exempt) return [{ limit, blocked: [] }]
+
+  const usedRows = (col, exempt) =>
+    matrix
+      .map((_, row) => row)
+      .filter((row) => matrix[row][col] < BIG && Boolean(limit.exempt(row, col)) === exempt)
+
+  const counted = []
+  const mixed = []
+  const exemptRows = new Set()
+  limit.columns.forEach((col) => {
+    const exempt = usedRows(col, true)
+    exempt.forEach((row) => exemptRows.add(row))
+    if (!usedRows(col, false).length) return
+    if (exempt.length) mixed.push(col)
+    else counted.push(col)
+  })
+
+  const subsets = []
+  for (let size = 0; size <= Math.min(exemptRows.size, mixed.length); size += 1) {
+    subsets.push(...combinations(mixed, size))
+  }
+
+  return subsets.map((exemptCols) => ({
+    limit: {
+      columns: [...counted, ...mixed.filter((col) => !exemptCols.includes(col))],
+      max: limit.max,
+      excess: limit.excess,
+    },
+    blocked: mixed.flatMap((col) =>
+      usedRows(col, !exemptCols.includes(col)).map((row) => [row, col]),
+    ),
+  }))
+}
+
+/**
+ * Solve one Murty subproblem. Returns null when the constraints leave no
+ * assignment made only of valid (non-BIG) edges.
+ *
+ * Each of `columnLimits` ({ columns, max, excess, exempt }) caps how many of
+ * the given columns one assignment may use. Without `excess` the cap is hard
+ * (e.g. champions). With it the cap is soft: columns past the cap may still
+ * be used, but each is charged `excess` (e.g. to take back the bonus of an
+ * evolution that has no evolution slot left), and `exempt(row, col)` marks
+ * edges that do not count towards it. The caps are modeled as capacity in a
+ * single assignment (see applyColumnCapacity), so the result is the exact
+ * best assignment within them; only exemptions add a few cases.
+ */
+function solveConstrainedAssignment(cost, forced, forbidden, columnLimits) {
+  const constrained = applyAssignmentConstraints(cost, forced, forbidden)
+  let best = solveAssignment(constrained)
+
+  if (best && columnLimits.some((limit) => countLimitedColumns(best.colForRow, limit) > limit.max)) {
+    best = null
+    const cases = columnLimits.reduce(
+      (partial, limit) =>
+        partial.flatMap((choice) =>
+          exemptionCases(constrained, limit).map((option) => [...choice, option]),
+        ),
+      [[]],
+    )
+    cases.forEach((choice) => {
+      const blocked = choice.flatMap((option) => option.blocked)
+      const candidate = solveAssignment(
+        applyAssignmentConstraints(constrained, [], blocked),
+        choice.map((option) => option.limit),
+      )
+      if (candidate && (!best || candidate.total < best.total)) best = candidate
+    })
+  }
+
+  return best ? { ...best, forced, forbidden } : null
+}
+
+/**
+ * Enumerate assignments in increasing total cost using Murty's algorithm on
+ * top of hungarianMinimize. Each solved node is split into subproblems that
+ * forbid one of its edges while forcing the edges before it, so every
+ * assignment is produced at most once.
+ *
+ * `accept` is called with each assignment in order and returns whether it
+ * counts towards `k` (e.g. to skip assignments that build the same deck).
+ * Side constraints belong in `options.columnLimits` rather than `accept`:
+ * they are enforced while solving, so no valid assignment is missed.
+ *
+ * `options.extraCost` adds a non-negative, whole-assignment cost that does
+ * not split into per-edge costs (e.g. drift of the deck's average elixir).
+ * Assignments come out of the queue in order of matrix cost, which is a
+ * lower bound on their total, so each one is held back until no queued
+ * assignment can still beat it.
+ *
+ * @param {number[][]} cost - cost[row][col]
+ * @param {number} k - Number of accepted assignments to find
+ * @param {Function} [accept] - (colForRow) => boolean
+ * @param {Object} [options]
+ * @param {Array<{columns: number[], max: number, excess: number, exempt: Function}>} [options.columnLimits]
+ * @param {Function} [options.extraCost] - (colForRow) => number >= 0
+ * @returns {number[][]} colForRow arrays, best first
+ */
+function murtyTopAssignments(cost, k, accept = () => true, options = {}) {
+  const columnLimits = (options.columnLimits || []).filter(Boolean)
+  const extraCost = options.extraCost || (() => 0)
+  const results = []
+  const first = solveConstrainedAssignment(cost, [], [], columnLimits)
+  if (!first) return results
+
+  const queue = [first]
+  // Solved assignments waiting for their total to be known to be the lowest
+  const pending = []
+  // Skipped assignments still cost a pop, so bound the search explicitly
+  const maxPops = k * Math.max(cost.length, 1) * 4
+  let pops = 0
+
+  const release = (bound) => {
+    pending.sort((a, b) => a.adjustedTotal - b.adjustedTotal)
+    while (pending.length && results.length < k && pending[0].adjustedTotal <= bound) {
+      const node = pending.shift()
+      if (accept(node.colForRow)) results.push(node.colForRow)
+    }
+  }
+
+  while (queue.length && results.length < k && pops < maxPops) {
+    queue.sort((a, b) => a.total - b.total)
+    const node = queue.shift()
+    pops += 1
+
+    pending.push({ ...node, adjustedTotal: node.total + extraCost(node.colForRow) })
+    // Its subproblems cost at least as much as it does, so it can go out
+    // before branching when nothing queued is cheaper
+    release(Math.min(node.total, ...queue.map((queued) => queued.total)))
+    if (results.length >= k) break
+
+    const forcedRows = new Set(node.forced.map(([row]) => row))
+    const forced = [...node.forced]
+
+    for (let row = 0; row < node.colForRow.length; row += 1) {
+      if (forcedRows.has(row)) continue
+      const col = node.colForRow[row]
+      const child = solveConstrainedAssignment(
+        cost,
+        [...forced],
+        [...node.forbidden, [row, col]],
+        columnLimits,
+      )
+      if (child) queue.push(child)
+      forced.push([row, col])
+    }
+
+    release(queue.length ? Math.min(...queue.map((queued) => queued.total)) : Infinity)
+  }
+
+  // Out of pops: settle for the best of what was solved
+  release(Infinity)
+
+  return results
+}
+
 /**
  * Identity-style optimizer that keeps the same 8 cards as the original deck
  * but allows downstream logic (via mapCardLevels) to apply the player's
@@ -231,8 +582,31 @@ function createIdentityOptimizer() {
  * to build an \"effective\" deck for the given leaderboard deck.
  *
  * See .cursor/HUNGARIAN_ALGORITHM_README.md for detailed algorithm notes.
+ *
+ * @param {Object} options
+ * @param {Object} options.cardCatalog - Card catalog (services/cardCatalog);
+ *   when given, result cards carry catalog rarity, icons and elixir cost
+ * @param {number} options.alternatives - Number of next-best distinct decks
+ *   to return in `alternatives`, best first (default 0)
+ * @param {Object} options.learnedSimilarity - Model from
+ *   learnBackupSimilarity (services/backupSimilarity); when given it is
+ *   blended into compatibility stars and adds strong learned substitutes
+ * @param {number} options.similarityWeight - Weight of the learned rating
+ *   against curated stars, 0–1 (default 0.5)
  */
-function createHungarianOptimizer() {
+function createHungarianOptimizer(options = {}) {
+  const cardCatalog = options.cardCatalog || null
+  const alternativeCount =
+    1 + (Number.isInteger(options.alternatives) && options.alternatives > 0 ? options.alternatives : 0)
+  const learnedModel = options.learnedSimilarity || null
+  const similarityWeight =
+    Number.isFinite(options.similarityWeight)
+      ? Math.min(1, Math.max(0, options.similarityWeight))
+      : DEFAULT_SIMILARITY_WEIGHT
+  const learned = learnedModel ? { model: learnedModel, weight: similarityWeight } : null
+  const candidateInfo = (originalName, candidateName) =>
+    slotCandidateInfo(originalName, candidateName, learned)
+
   return (originalDeck, playerCards) => {
     if (!originalDeck || !Array.isArray(originalDeck.cards) || !originalDeck.cards.length) {
       return null
@@ -248,6 +622,14 @@ function createHungarianOptimizer() {
     }
 
     const playerLevels = buildPlayerLevels(playerCards)
+    const playerEvolutions = buildPlayerEvolutions(playerCards)
+    // A hero-form card in a hero slot stays there as its hero (see
+    // arrangeDeckSlots), so it cannot play evolved
+    const evolutionBonus = (slot, name) =>
+      playerEvolutions.has(name) && !(HERO_SLOT_INDICES.has(slot) && isHeroCard({ name }))
+        ? EVOLUTION_BONUS
+        : 0
+    const elixirCosts = buildElixirCosts(deckCards, playerCards, cardCatalog)
 
     // Step 3: Build candidate set (original + backups, deduplicated)
     const candidateNames = []
@@ -260,15 +642,22 @@ function createHungarianOptimizer() {
       }
 
       const entry = cardsByName.get(name)
-      if (entry && Array.isArray(entry.backups)) {
-        entry.backups.forEach((backup) => {
-          const bName = String(backup?.name || '').trim()
-          if (bName && !seen.has(bName)) {
-            seen.add(bName)
-            candidateNames.push(bName)
-          }
-        })
+      const backupNames =
+        entry && Array.isArray(entry.backups)
+          ? entry.backups.map((backup) => String(backup?.name || '').trim())
+          : []
+      if (learnedModel) {
+        getLearnedBackups(learnedModel, name, {
+          minSimilarity: LEARNED_BACKUP_MIN_SIMILARITY,
+          limit: LEARNED_BACKUP_LIMIT,
+        }).forEach((backup) => backupNames.push(backup.name))
       }
+      backupNames.forEach((bName) => {
+        if (bName && !seen.has(bName)) {
+          seen.add(bName)
+          candidateNames.push(bName)
+        }
+      })
     })
 
     if (!candidateNames.length) {
@@ -293,12 +682,12 @@ function createHungarianOptimizer() {
         let bonusOrig = origLevel * 1e-6
         // Original card bonus (see README).
         bonusOrig += 1e-4
-        origScore = baseOrig + bonusOrig
+        origScore = baseOrig + bonusOrig + evolutionBonus(slot, origName)
       }
 
       for (let cIdx = 0; cIdx < candidateNames.length; cIdx += 1) {
         const candName = candidateNames[cIdx]
-        const info = slotCandidateInfo(origName, candName)
+        const info = candidateInfo(origName, candName)
 
         if (!info) {
           // Not a valid assignment for this slot (not original or backup).
@@ -330,7 +719,7 @@ function createHungarianOptimizer() {
           bonus += 1e-4
         }
 
-        let totalScore = baseScore + bonus
+        let totalScore = baseScore + bonus + evolutionBonus(slot, candName)
 
         // If this candidate has a score tied with the original card's score
         // for this slot, and it's *not* the original card itself, nudge it
@@ -353,23 +742,23 @@ function createHungarianOptimizer() {
       return null
     }
 
-    // Step 5: Run Hungarian algorithm
-    const colForRow = hungarianMinimize(cost)
-
-    // Step 6: Calculate min/max possible scores for this player
+    // Step 5: Calculate min/max possible scores for this player
     // This allows us to normalize the score relative to the player's available card levels
     let minPossibleScore = 0
     let maxPossibleScore = 0
+    let evolvableSlots = 0
     
     for (let slot = 0; slot < numSlots; slot += 1) {
       const origName = originalNames[slot]
       let minLevel = Infinity
       let maxLevel = 0
+      let maxEvolutionBonus =
+        EVOLUTION_SLOT_INDICES.has(slot) && isEvolved(deckCards[slot]) ? EVOLUTION_BONUS : 0
       
       // Find min and max levels among all valid candidates for this slot
       for (let cIdx = 0; cIdx < candidateNames.length; cIdx += 1) {
         const candName = candidateNames[cIdx]
-        const info = slotCandidateInfo(origName, candName)
+        const info = candidateInfo(origName, candName)
         if (!info) continue
         
         const level = playerLevels.get(candName) || 0
@@ -377,6 +766,7 @@ function createHungarianOptimizer() {
         
         minLevel = Math.min(minLevel, level)
         maxLevel = Math.max(maxLevel, level)
+        maxEvolutionBonus = Math.max(maxEvolutionBonus, evolutionBonus(slot, candName))
       }
       
       if (minLevel !== Infinity && maxLevel > 0) {
@@ -384,119 +774,246 @@ function createHungarianOptimizer() {
         minPossibleScore += (1 + minLevel) / 18.0
         // Maximum: best compatibility (3 stars) + highest level
         maxPossibleScore += (3 + maxLevel) / 18.0
+        if (maxEvolutionBonus > 0) evolvableSlots += 1
       }
     }
 
-    // Step 7: Build result deck and detailed replacement info
-    const resultCards = []
-    const replacements = []
-    let totalScore = 0
-    let assignmentFailed = false
-    let championCount = 0
-
-    for (let slot = 0; slot < numSlots; slot += 1) {
-      const colIdx = colForRow[slot]
+    // ...played evolved where the leaderboard deck or the player can, in as
+    // many slots as the deck has evolution slots
+    maxPossibleScore += EVOLUTION_BONUS * Math.min(evolvableSlots, MAX_EVOLUTIONS)
+
+    const originalElixir = computeElixirStats(originalNames, elixirCosts.get)
+
+    // Keep the deck's average elixir close to the original's. This depends
+    // on the whole deck, so it is applied on top of the cost matrix.
+    const elixirDrift = (colForRow) => {
+      if (originalElixir.averageElixir === null) return 0
+      const { averageElixir } = computeElixirStats(
+        colForRow.map((col) => candidateNames[col]),
+        elixirCosts.get,
+      )
+      return averageElixir === null
+        ? 0
+        : ELIXIR_DRIFT_PENALTY * Math.abs(averageElixir - originalElixir.averageElixir)
+    }
 
-      if (colIdx == null || colIdx < 0 || colIdx >= candidateNames.length) {
-        assignmentFailed = true
-        break
-      }
+    // Champions each need a hero slot, which caps how many of the champion
+    // candidates one assignment may use
+    const championColumns = []
+    candidateNames.forEach((name, cIdx) => {
+      const playerCard = playerCards.find((card) => String(card?.name || '').trim() === name)
+      const rarity = playerCard?.rarity ?? (cardCatalog ? cardCatalog.getRarity(name) : null)
+      if (isChampion({ rarity })) championColumns.push(cIdx)
+    })
+    const championLimit =
+      championColumns.length > MAX_CHAMPIONS
+        ? { columns: championColumns, max: MAX_CHAMPIONS }
+        : null
+
+    // Only MAX_EVOLUTIONS evolved cards play evolved; more may be picked,
+    // but past the cap they are charged back their evolution bonus
+    const evolvedColumns = []
+    candidateNames.forEach((name, cIdx) => {
+      if (playerEvolutions.has(name)) evolvedColumns.push(cIdx)
+    })
+    const evolutionLimit =
+      evolvedColumns.length > MAX_EVOLUTIONS
+        ? {
+            columns: evolvedColumns,
+            max: MAX_EVOLUTIONS,
+            excess: EVOLUTION_BONUS,
+            // A hero-form card in a hero slot plays as its hero, so it takes
+            // no evolution and has no bonus to take back
+            exempt: (slot, cIdx) => evolutionBonus(slot, candidateNames[cIdx]) === 0,
+          }
+        : null
+
+    // Step 6: Build a result deck and detailed replacement info for one
+    // assignment, or null when the player is missing one of its cards
+    const buildAssignment = (colForRow) => {
+      const resultCards = []
+      const replacements = []
+      let totalScore = 0
+      let assignmentFailed = false
+
+      for (let slot = 0; slot < numSlots; slot += 1) {
+        const colIdx = colForRow[slot]
+
+        if (colIdx == null || colIdx < 0 || colIdx >= candidateNames.length) {
+          assignmentFailed = true
+          break
+        }
 
-      const candName = candidateNames[colIdx]
-      const level = playerLevels.get(candName) || 0
+        const candName = candidateNames[colIdx]
+        const level = playerLevels.get(candName) || 0
 
-      // Find player card for metadata (id, rarity, iconUrls)
-      const playerCard =
-        Array.isArray(playerCards) && candName
-          ? playerCards.find(
-              (card) => String(card?.name || '').trim() === candName,
-            )
-          : null
+        // Find player card for metadata (id, rarity, iconUrls)
+        const playerCard =
+          Array.isArray(playerCards) && candName
+            ? playerCards.find(
+                (card) => String(card?.name || '').trim() === candName,
+              )
+            : null
+
+        if (!playerCard) {
+          assignmentFailed = true
+          break
+        }
 
-      if (!playerCard) {
-        assignmentFailed = true
-        break
-      }
+        const originalCard = deckCards[slot] || {}
+        const originalName = originalNames[slot]
+        const originalLevel = playerLevels.get(originalName) || 0
 
-      const originalCard = deckCards[slot] || {}
-      const originalName = originalNames[slot]
-      const originalLevel = playerLevels.get(originalName) || 0
+        // Accumulate optimization score for this slot, if we have valid info
+        if (level > 0) {
+          const info = candidateInfo(originalName, candName)
+          if (info) {
+            const { stars } = info
+            totalScore += (stars + level) / 18.0
+          }
+        }
 
-      // Accumulate optimization score for this slot, if we have valid info
-      if (level > 0) {
-        const info = slotCandidateInfo(originalName, candName)
-        if (info) {
-          const { stars } = info
-          totalScore += (stars + level) / 18.0
+        const wasReplaced = candName !== originalName
+        // The leaderboard deck plays this slot evolved but the player cannot
+        const missingEvolution =
+          EVOLUTION_SLOT_INDICES.has(slot) &&
+          isEvolved(originalCard) &&
+          !playerEvolutions.has(candName)
+        let reason
+
+        if (!wasReplaced && missingEvolution) {
+          reason = 'Kept original card, but you have not unlocked its evolution.'
+        } else if (!wasReplaced) {
+          reason = 'Kept original card – you own this card for this slot.'
+        } else if (missingEvolution) {
+          reason = `Missing evolution: the leaderboard deck plays an evolved ${originalName} here.`
+        } else if (candidateInfo(originalName, candName)?.source === 'learned') {
+          reason = 'Using a substitute learned from leaderboard decks (not in the curated backups).'
+        } else if (originalLevel <= 0) {
+          reason = 'You do not own the original card; using a compatible backup you own.'
+        } else if (level > originalLevel) {
+          reason = `Using higher-level backup (original Lv ${originalLevel}, replacement Lv ${level}).`
+        } else {
+          reason = 'Using a compatible backup chosen by the optimization algorithm.'
         }
+
+        replacements.push({
+          slot,
+          originalCard: originalName,
+          replacementCard: candName,
+          wasReplaced,
+          originalLevel,
+          replacementLevel: level,
+          missingEvolution,
+          reason,
+        })
+
+        const catalogCard = cardCatalog ? cardCatalog.getCard(playerCard) : null
+
+        resultCards.push({
+          id: playerCard.id ?? originalCard.id,
+          name: candName,
+          level,
+          rarity: playerCard.rarity ?? catalogCard?.rarity ?? originalCard.rarity,
+          image: playerCard.iconUrls?.medium ?? catalogCard?.iconUrl ?? originalCard.image ?? '',
+          evolutionImage:
+            playerCard.iconUrls?.evolutionMedium ?? catalogCard?.evolutionIconUrl ?? null,
+          evolutionLevel: playerEvolutions.get(candName) || 0,
+          elixirCost: elixirCosts.get(candName),
+        })
       }
 
-      const wasReplaced = candName !== originalName
-      let reason
-
-      if (!wasReplaced) {
-        reason = 'Kept original card – you own this card for this slot.'
-      } else if (originalLevel <= 0) {
-        reason = 'You do not own the original card; using a compatible backup you own.'
-      } else if (level > originalLevel) {
-        reason = `Using higher-level backup (original Lv ${originalLevel}, replacement Lv ${level}).`
-      } else {
-        reason = 'Using a compatible backup chosen by the optimization algorithm.'
+      if (assignmentFailed) {
+        return null
       }
 
-      replacements.push({
-        slot,
-        originalCard: originalName,
-        replacementCard: candName,
-        wasReplaced,
-        originalLevel,
-        replacementLevel: level,
-        reason,
+      // Ensure card levels used for display go through the same normalization
+      // path as the identity optimizer (mapCardLevels), while keeping the
+      // scoring logic above based on raw playerLevels.
+      const normalizedCards = mapCardLevels(resultCards, playerCards)
+
+      // A backup champion or hero-form card may need to move into a hero
+      // slot, and evolved cards move into the evolution slots; `position`
+      // records where each slot's card ended up
+      const { cards: arrangedCards, positions } = arrangeDeckSlots(normalizedCards)
+      replacements.forEach((replacement) => {
+        replacement.position = positions[replacement.slot]
+        if (
+          replacement.wasReplaced &&
+          EVOLUTION_SLOT_INDICES.has(replacement.position) &&
+          playerEvolutions.has(replacement.replacementCard)
+        ) {
+          replacement.reason = 'Using a backup you have evolved, played in an evolution slot.'
+        }
       })
 
-      const resolvedRarity = (playerCard.rarity ?? originalCard.rarity ?? '').toLowerCase()
-      if (resolvedRarity === 'champion') {
-        championCount += 1
+      // Evolution bonuses go to the evolved cards that ended up in an
+      // evolution slot, as in the assignment
+      const playedEvolutions = arrangedCards.filter(
+        (card, slot) => EVOLUTION_SLOT_INDICES.has(slot) && isEvolved(card),
+      ).length
+      totalScore += EVOLUTION_BONUS * playedEvolutions
+
+      // Normalize the score relative to the player's available card levels
+      // This ensures players with lower-level cards can still get high ratings
+      // if the optimization is good relative to their available options
+      let normalizedScore = totalScore
+      if (maxPossibleScore > minPossibleScore) {
+        // Normalize to 0-1 range, then scale to 0-8
+        const normalizedRatio = (totalScore - minPossibleScore) / (maxPossibleScore - minPossibleScore)
+        normalizedScore = normalizedRatio * 8.0
+      } else if (maxPossibleScore > 0) {
+        // Edge case: all slots have same min/max, use absolute score scaled to 8
+        // This shouldn't happen in practice, but handle it gracefully
+        normalizedScore = (totalScore / maxPossibleScore) * 8.0
       }
 
-      resultCards.push({
-        id: playerCard.id ?? originalCard.id,
-        name: candName,
-        level,
-        rarity: playerCard.rarity ?? originalCard.rarity,
-        image: playerCard.iconUrls?.medium ?? originalCard.image ?? '',
-        evolutionImage: playerCard.iconUrls?.evolutionMedium ?? null,
-      })
+      const optimizedElixir = computeElixirStats(arrangedCards)
+
+      return {
+        cards: arrangedCards,
+        optimizationScore: normalizedScore,
+        // Unnormalized score, comparable across different player collections
+        rawScore: totalScore,
+        replacements,
+        elixir: {
+          averageElixir: optimizedElixir.averageElixir,
+          cycleCost: optimizedElixir.cycleCost,
+          originalAverageElixir: originalElixir.averageElixir,
+          originalCycleCost: originalElixir.cycleCost,
+        },
+      }
     }
 
-    if (assignmentFailed || championCount > 2) {
+    // Step 7: Enumerate the best assignments. Assignments that put the same
+    // cards in different slots build the same deck and count once.
+    const assignments = []
+    const seenDecks = new Set()
+
+    murtyTopAssignments(cost, alternativeCount, (colForRow) => {
+      const deckKey = colForRow
+        .map((col) => candidateNames[col])
+        .sort()
+        .join('|')
+      if (seenDecks.has(deckKey)) return false
+      seenDecks.add(deckKey)
+
+      const assignment = buildAssignment(colForRow)
+      if (!assignment) return false
+      assignments.push(assignment)
+      return true
+    }, { columnLimits: [championLimit, evolutionLimit], extraCost: elixirDrift })
+
+    if (!assignments.length) {
       return null
     }
 
-    // Ensure card levels used for display go through the same normalization
-    // path as the identity optimizer (mapCardLevels), while keeping the
-    // scoring logic above based on raw playerLevels.
-    const normalizedCards = mapCardLevels(resultCards, playerCards)
-
-    // Normalize the score relative to the player's available card levels
-    // This ensures players with lower-level cards can still get high ratings
-    // if the optimization is good relative to their available options
-    let normalizedScore = totalScore
-    if (maxPossibleScore > minPossibleScore) {
-      // Normalize to 0-1 range, then scale to 0-8
-      const normalizedRatio = (totalScore - minPossibleScore) / (maxPossibleScore - minPossibleScore)
-      normalizedScore = normalizedRatio * 8.0
-    } else if (maxPossibleScore > 0) {
-      // Edge case: all slots have same min/max, use absolute score scaled to 8
-      // This shouldn't happen in practice, but handle it gracefully
-      normalizedScore = (totalScore / maxPossibleScore) * 8.0
-    }
+    const [best, ...alternatives] = assignments
 
     return {
       ...originalDeck,
-      cards: normalizedCards,
-      optimizationScore: normalizedScore,
-      replacements,
+      ...best,
+      alternatives,
     }
   }
 }
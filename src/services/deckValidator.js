@@ -0,0 +1,180 @@
+/**
+ * Deck Validator
+ *
+ * Checks a deck for the structural problems players notice too late: no air
+ * defense, no spell, several win conditions, two big spells, an elixir
+ * curve that is too heavy. Roles come from card_roles.json through the
+ * deckbuilder's role map, so the validator and the deckbuilder's penalties
+ * agree on what a card does.
+ *
+ * Minimums (e.g. at least one air defense) are only checked on complete
+ * decks, since a partial deck can still add the missing card.
+ */
+
+import { buildRoleMap, countRoles, getRoles } from './smartDeckbuilder'
+import { computeElixirStats, formatElixir } from '../utils/deckElixir'
+import { MAX_CHAMPIONS, isChampion } from '../utils/deckSlots'
+
+const DECK_SIZE = 8
+
+// Average elixir at or above which a deck is heavy, and at or below which
+// it is very light
+const HEAVY_ELIXIR = 4.5
+const LIGHT_ELIXIR = 2.6
+
+// Most severe first
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 }
+
+const roleMap = buildRoleMap()
+
+function normalizeName(card) {
+  return String((typeof card === 'string' ? card : card?.name) || '').trim()
+}
+
+function pluralize(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`
+}
+
+/**
+ * Check a deck and describe what is wrong with it.
+ *
+ * @param {Array} cards - Card objects or card names
+ * @param {Object} [options]
+ * @param {Object} [options.cardCatalog] - Card catalog, for elixir costs and
+ *   rarities the cards do not carry
+ * @returns {Array<{code: string, severity: 'error'|'warning'|'info',
+ *   label: string, message: string}>} Most severe first; empty when the
+ *   deck looks fine
+ */
+function validateDeck(cards, options = {}) {
+  const safeCards = (Array.isArray(cards) ? cards : []).filter((card) => normalizeName(card))
+  const names = safeCards.map(normalizeName)
+  const cardCatalog = options.cardCatalog || null
+  const isComplete = names.length >= DECK_SIZE
+  const warnings = []
+  const add = (code, severity, label, message) => {
+    warnings.push({ code, severity, label, message })
+  }
+
+  if (!names.length) return warnings
+
+  const duplicates = [...new Set(names.filter((name, idx) => names.indexOf(name) !== idx))]
+  duplicates.forEach((name) => {
+    add('duplicateCard', 'error', `Duplicate ${name}`, `${name} is in the deck more than once.`)
+  })
+
+  const championCount = safeCards.filter((card) => {
+    const rarity =
+      (typeof card === 'object' && card.rarity) || cardCatalog?.getRarity(normalizeName(card))
+    return isChampion({ rarity })
+  }).length
+  if (championCount > MAX_CHAMPIONS) {
+    add(
+      'tooManyChampions',
+      'error',
+      `${championCount} champions`,
+      `A deck can only play ${MAX_CHAMPIONS} champions, one per hero slot.`,
+    )
+  }
+
+  const uniqueNames = [...new Set(names)]
+  const roleCounts = countRoles(uniqueNames, roleMap)
+
+  if (roleCounts.wincon > 1) {
+    add(
+      'multipleWincons',
+      roleCounts.wincon > 2 ? 'error' : 'warning',
+      `${roleCounts.wincon} win conditions`,
+      `${pluralize(roleCounts.wincon, 'win condition')} compete for the same elixir; most top decks play one.`,
+    )
+  } else if (isComplete && roleCounts.wincon === 0) {
+    add(
+      'noWincon',
+      'warning',
+      'No win condition',
+      'Nothing in the deck reliably damages towers.',
+    )
+  }
+
+  if (isComplete && roleCounts.airDefense === 0) {
+    add(
+      'noAirDefense',
+      'error',
+      'No air defense',
+      'No card can hit air troops, so Balloon, Lava Hound or Minions will go unanswered.',
+    )
+  }
+
+  if (isComplete && roleCounts.spell === 0) {
+    add(
+      'noSpell',
+      'warning',
+      'No spell',
+      'Without a spell the deck cannot clear swarms or finish off a low tower.',
+    )
+  } else if (roleCounts.spell > 2) {
+    add(
+      'tooManySpells',
+      'warning',
+      `${roleCounts.spell} spells`,
+      `${pluralize(roleCounts.spell, 'spell')} leave few troops to defend with.`,
+    )
+  }
+
+  if (roleCounts.bigSpell > 1) {
+    add(
+      'multipleBigSpells',
+      'warning',
+      `${roleCounts.bigSpell} big spells`,
+      `${pluralize(roleCounts.bigSpell, 'big spell')} make the deck heavy; most decks play one.`,
+    )
+  }
+
+  // Siege buildings (X-Bow, Mortar) are the win condition, not defense
+  const defensiveBuildings = uniqueNames.filter((name) => {
+    const roles = getRoles(name, roleMap)
+    return roles.includes('building') && !roles.includes('wincon')
+  })
+  if (defensiveBuildings.length > 1) {
+    add(
+      'multipleBuildings',
+      'warning',
+      `${defensiveBuildings.length} buildings`,
+      `${defensiveBuildings.join(', ')} all defend the same way; one building is usually enough.`,
+    )
+  }
+
+  if (isComplete && roleCounts.tankKiller === 0) {
+    add(
+      'noTankKiller',
+      'info',
+      'No tank killer',
+      'Nothing deals high single-target damage, so big tanks like Golem are hard to stop.',
+    )
+  }
+
+  const elixir = computeElixirStats(safeCards, (card) =>
+    cardCatalog ? cardCatalog.getElixirCost(normalizeName(card)) : null,
+  )
+  if (isComplete && elixir.knownCount === safeCards.length) {
+    if (elixir.averageElixir >= HEAVY_ELIXIR) {
+      add(
+        'heavyElixir',
+        'warning',
+        `${formatElixir(elixir.averageElixir)} avg elixir`,
+        `An average of ${formatElixir(elixir.averageElixir)} elixir is slow to cycle and easy to punish.`,
+      )
+    } else if (elixir.averageElixir <= LIGHT_ELIXIR) {
+      add(
+        'lightElixir',
+        'info',
+        `${formatElixir(elixir.averageElixir)} avg elixir`,
+        `An average of ${formatElixir(elixir.averageElixir)} elixir may lack the damage to defend big pushes.`,
+      )
+    }
+  }
+
+  return warnings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity])
+}
+
+export { validateDeck }
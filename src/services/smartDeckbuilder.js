@@ -11,11 +11,19 @@
 
 import cardBackups from '../data/card_backups.json'
 import cardRoles from '../data/card_roles.json'
+import { computeElixirStats, getCardElixirCost } from '../utils/deckElixir'
+import {
+  EVOLUTION_SLOT_INDICES,
+  MAX_EVOLUTIONS,
+  buildPlayerEvolutions,
+  isEvolved,
+} from '../utils/deckSlots'
 
 // Type definitions (conceptual, JS doesn't enforce these)
 // type CardId = string
 // type Deck = CardId[]
-// type Role = "spell" | "building" | "wincon" | "unit"
+// type Role = "spell" | "building" | "wincon" | "airDefense" | "tankKiller"
+//   | "splash" | "smallSpell" | "bigSpell" | "tank" | "cycle" | "unit"
 
 const EPS = 1e-9 // Small epsilon for numerical stability
 
@@ -25,8 +33,10 @@ const DEFAULT_WEIGHTS = {
   beta: 0.5,    // meta weight
   gamma: 0.3,   // level weight
   lambda: 0.2,  // role penalty weight
-  mu: 2.0,      // hard constraint penalty weight (multiple wincons/buildings, >2 spells)
+  mu: 2.0,      // hard constraint penalty weight (multiple wincons/buildings/big spells, >2 spells, no air defense)
   nu: 1.5,      // frequency penalty weight (punish rare cards)
+  eta: 0.2,     // elixir curve penalty weight
+  kappa: 0.3,   // evolution slot weight
   w_meta: 0.6,  // backup selection: meta weight
   w_level: 0.4, // backup selection: level weight
 }
@@ -34,39 +44,78 @@ const DEFAULT_WEIGHTS = {
 // Default beam width for search
 const DEFAULT_BEAM_WIDTH = 10
 
+// A card with none of these roles is a "unit"
+const STRUCTURAL_ROLES = ['spell', 'building', 'wincon']
+
+// Every role a card can have, from card_roles.json plus "unit"
+const ROLES = [...new Set([...Object.keys(cardRoles), 'unit'])]
+
+// Roles a complete deck must cover at least this many times
+const REQUIRED_ROLES = { wincon: 1, airDefense: 1 }
+
+const DECK_SIZE = 8
+
+// Diverse deck generation: how many decks, and how many cards each must not
+// share with every other
+const DEFAULT_DIVERSE_COUNT = 5
+const DEFAULT_MIN_CARD_DIFFERENCE = 3
+
+// Spread of the random noise a seeded beam search adds to each score, large
+// enough to swap close candidates but not to overturn hard constraints
+const SEED_JITTER = 1
+
+/**
+ * Small seeded pseudo-random generator (mulberry32), so a seed always
+ * regenerates the same deck
+ * @param {number} seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
 /**
- * Build role mapping from card name to role
+ * Build role mapping from card name to its roles. Cards can have several
+ * (X-Bow is both a wincon and a building); cards without a structural role
+ * (spell, building, wincon) are also a "unit".
  */
 function buildRoleMap() {
   const roleMap = new Map()
   
-  // Process each role category
   Object.entries(cardRoles).forEach(([role, cardNames]) => {
-    if (Array.isArray(cardNames)) {
-      cardNames.forEach((cardName) => {
-        const name = String(cardName).trim()
-        if (name) {
-          // Cards can have multiple roles (e.g., a card can be both wincon and building)
-          // We'll use the first role found, or prioritize wincon > building > spell
-          // Note: "unit" is the default for cards not in any category
-          if (!roleMap.has(name)) {
-            roleMap.set(name, role)
-          } else {
-            // Prioritize more specific roles
-            const currentRole = roleMap.get(name)
-            const priority = { wincon: 4, building: 3, spell: 2 }
-            if (priority[role] > (priority[currentRole] || 0)) {
-              roleMap.set(name, role)
-            }
-          }
-        }
-      })
-    }
+    if (!Array.isArray(cardNames)) return
+    cardNames.forEach((cardName) => {
+      const name = String(cardName).trim()
+      if (!name) return
+      if (!roleMap.has(name)) roleMap.set(name, [])
+      if (!roleMap.get(name).includes(role)) roleMap.get(name).push(role)
+    })
+  })
+  
+  roleMap.forEach((roles) => {
+    if (!roles.some((role) => STRUCTURAL_ROLES.includes(role))) roles.push('unit')
   })
   
   return roleMap
 }
 
+/**
+ * Roles of a card, "unit" for cards without any
+ * @param {string} card - Card name
+ * @param {Map} roleMap - Map of card name -> roles
+ * @returns {string[]}
+ */
+function getRoles(card, roleMap) {
+  return roleMap.get(card) || ['unit']
+}
+
 /**
  * Build backup mapping from card name to array of backup card names
  */
@@ -130,12 +179,51 @@ function extractCardNames(deck) {
   return []
 }
 
+/**
+ * Normalize an include/exclude option (array or Set of card names) to a
+ * deduplicated array of trimmed names
+ * @param {Iterable<string>} [cards]
+ * @returns {string[]}
+ */
+function normalizeCardList(cards) {
+  if (!cards) return []
+  return [...new Set([...cards].map((card) => String(card).trim()).filter(Boolean))]
+}
+
+/**
+ * Extract card objects (or names) from a deck, keeping any per-card data
+ * such as elixirCost
+ * @param {Array|Object} deck - Deck object with cards array, or array of cards
+ * @returns {Array} Array of card objects or names
+ */
+function extractCards(deck) {
+  if (!deck) return []
+  if (Array.isArray(deck)) return deck
+  if (Array.isArray(deck.cards)) return deck.cards
+  return []
+}
+
+/**
+ * Mean and standard deviation of a list of numbers (std defaults to 1)
+ * @param {number[]} values
+ * @returns {{mean: number, std: number}}
+ */
+function meanAndStd(values) {
+  if (values.length === 0) return { mean: 0, std: 1 }
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length
+  const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length
+  return { mean, std: Math.sqrt(variance) || 1 }
+}
+
 /**
  * Compute DeckStats from a collection of good decks
  * @param {Array} goodDecks - Array of deck objects or arrays of card names
+ * @param {Object} options - Configuration options
+ * @param {Object} options.cardCatalog - Card catalog used for elixir costs the
+ *   decks' cards do not carry
  * @returns {Object} DeckStats object
  */
-function computeDeckStats(goodDecks) {
+function computeDeckStats(goodDecks, options = {}) {
   if (!Array.isArray(goodDecks) || goodDecks.length === 0) {
     throw new Error('goodDecks must be a non-empty array')
   }
@@ -144,13 +232,43 @@ function computeDeckStats(goodDecks) {
   const roleMap = buildRoleMap()
   const freq = new Map()
   const p2 = new Map() // p2[card1][card2] = joint probability
-  const roleCounts = { spell: [], building: [], wincon: [], unit: [] }
+  const roleCounts = Object.fromEntries(ROLES.map((role) => [role, []]))
+  const averageElixirs = []
+  const cycleCosts = []
+  const evolvedCounts = new Map() // card -> decks playing it evolved
+  
+  // Elixir cost by card name: catalog first, then whatever the decks carry
+  const elixirCosts = {}
+  const catalogCards = options.cardCatalog?.cards || []
+  catalogCards.forEach((card) => {
+    if (card?.name && Number.isFinite(card.elixirCost)) {
+      elixirCosts[String(card.name).trim()] = card.elixirCost
+    }
+  })
   
   // First pass: count frequencies and co-occurrences
   goodDecks.forEach((deck) => {
     const cardNames = extractCardNames(deck)
     if (cardNames.length === 0) return
     
+    extractCards(deck).forEach((card, slot) => {
+      const cost = getCardElixirCost(card)
+      if (cost !== null && card.name) {
+        elixirCosts[String(card.name).trim()] = cost
+      }
+      if (EVOLUTION_SLOT_INDICES.has(slot) && isEvolved(card) && card.name) {
+        const name = String(card.name).trim()
+        evolvedCounts.set(name, (evolvedCounts.get(name) || 0) + 1)
+      }
+    })
+    
+    // Elixir curve, only from decks whose every card cost is known
+    const elixir = computeElixirStats(cardNames, (name) => elixirCosts[name] ?? null)
+    if (elixir.knownCount === 8) {
+      averageElixirs.push(elixir.averageElixir)
+      cycleCosts.push(elixir.cycleCost)
+    }
+    
     const uniqueCards = [...new Set(cardNames)]
     
     // Count frequencies
@@ -173,12 +291,7 @@ function computeDeckStats(goodDecks) {
     }
     
     // Count roles
-    const roleCount = { spell: 0, building: 0, wincon: 0, unit: 0 }
-    uniqueCards.forEach((card) => {
-      const role = roleMap.get(card) || 'unit'
-      roleCount[role] = (roleCount[role] || 0) + 1
-    })
-    
+    const roleCount = countRoles(uniqueCards, roleMap)
     Object.keys(roleCount).forEach((role) => {
       roleCounts[role].push(roleCount[role])
     })
@@ -217,22 +330,29 @@ function computeDeckStats(goodDecks) {
   }
   
   Object.keys(roleCounts).forEach((role) => {
-    const counts = roleCounts[role]
-    if (counts.length === 0) {
-      roleStats.mean[role] = 0
-      roleStats.std[role] = 1
-      return
-    }
-    
-    const mean = counts.reduce((sum, c) => sum + c, 0) / counts.length
-    const variance =
-      counts.reduce((sum, c) => sum + Math.pow(c - mean, 2), 0) / counts.length
-    const std = Math.sqrt(variance) || 1
-    
+    const { mean, std } = meanAndStd(roleCounts[role])
     roleStats.mean[role] = mean
     roleStats.std[role] = std
   })
   
+  // Elixir curve statistics (null when no deck had fully known costs)
+  const averageElixirStats = meanAndStd(averageElixirs)
+  const cycleCostStats = meanAndStd(cycleCosts)
+  const elixirStats = averageElixirs.length
+    ? {
+        mean: averageElixirStats.mean,
+        std: averageElixirStats.std,
+        cycleMean: cycleCostStats.mean,
+        cycleStd: cycleCostStats.std,
+      }
+    : null
+  
+  // Share of the decks playing each card that play it evolved
+  const evolutionRate = {}
+  evolvedCounts.forEach((count, card) => {
+    evolutionRate[card] = Math.min(count / (freq.get(card) || count), 1)
+  })
+  
   // Convert Maps to objects for easier access
   const freqObj = {}
   const freqNormObj = {}
@@ -262,6 +382,9 @@ function computeDeckStats(goodDecks) {
     p2: p2Obj,
     PMI: pmiObj,
     roleStats,
+    elixirStats,
+    elixirCosts,
+    evolutionRate,
   }
 }
 
@@ -336,17 +459,18 @@ function getBackupReplacement(cardName, playerLevels, deckStats, backupMap, weig
 }
 
 /**
- * Count roles in a deck
+ * Count roles in a deck; a card counts once towards each of its roles
  * @param {string[]} deck - Array of card names
- * @param {Map} roleMap - Map of card name -> role
- * @returns {Object} Role counts
+ * @param {Map} roleMap - Map of card name -> roles
+ * @returns {Object} Role counts, one entry per role
  */
 function countRoles(deck, roleMap) {
-  const counts = { spell: 0, building: 0, wincon: 0, unit: 0 }
+  const counts = Object.fromEntries(ROLES.map((role) => [role, 0]))
   
   deck.forEach((card) => {
-    const role = roleMap.get(card) || 'unit'
-    counts[role] = (counts[role] || 0) + 1
+    getRoles(card, roleMap).forEach((role) => {
+      counts[role] = (counts[role] || 0) + 1
+    })
   })
   
   return counts
@@ -455,10 +579,12 @@ function computeLevelScore(deck, playerLevels) {
 }
 
 /**
- * Compute role deviation penalty
+ * Compute role deviation penalty: squared z-scores of the deck's count of
+ * every role (including the functional ones such as splash or cycle)
+ * against the top decks
  * @param {string[]} deck - Array of card names
  * @param {Object} deckStats - DeckStats object
- * @param {Map} roleMap - Map of card name -> role
+ * @param {Map} roleMap - Map of card name -> roles
  * @returns {number} Role penalty (positive value to subtract)
  */
 function computeRolePenalty(deck, deckStats, roleMap) {
@@ -481,9 +607,11 @@ function computeRolePenalty(deck, deckStats, roleMap) {
 
 /**
  * Compute hard constraint penalties
- * Punishes: multiple win conditions, multiple buildings, more than 2 spells
+ * Punishes: multiple win conditions, multiple defensive buildings, more than
+ * 2 spells, more than one big spell, and missing required roles (a win
+ * condition, air defense) once the open slots can no longer add them
  * @param {string[]} deck - Array of card names
- * @param {Map} roleMap - Map of card name -> role
+ * @param {Map} roleMap - Map of card name -> roles
  * @returns {number} Hard constraint penalty (positive value to subtract)
  */
 function computeHardConstraintPenalty(deck, roleMap) {
@@ -496,10 +624,15 @@ function computeHardConstraintPenalty(deck, roleMap) {
     penalty += (roleCounts.wincon - 1) * (roleCounts.wincon - 1) * 10
   }
   
-  // Penalize multiple buildings (>1)
-  if (roleCounts.building > 1) {
+  // Penalize multiple defensive buildings (>1). Siege buildings (X-Bow,
+  // Mortar) are the deck's win condition and count there instead
+  const defensiveBuildings = deck.filter((card) => {
+    const roles = getRoles(card, roleMap)
+    return roles.includes('building') && !roles.includes('wincon')
+  }).length
+  if (defensiveBuildings > 1) {
     // Quadratic penalty: more buildings = exponentially worse
-    penalty += (roleCounts.building - 1) * (roleCounts.building - 1) * 10
+    penalty += (defensiveBuildings - 1) * (defensiveBuildings - 1) * 10
   }
   
   // Penalize more than 2 spells (>2)
@@ -508,25 +641,101 @@ function computeHardConstraintPenalty(deck, roleMap) {
     penalty += (roleCounts.spell - 2) * 5
   }
   
+  // Penalize more than one big spell (>1)
+  if (roleCounts.bigSpell > 1) {
+    penalty += (roleCounts.bigSpell - 1) * (roleCounts.bigSpell - 1) * 10
+  }
+  
+  // Penalize required roles the remaining slots can no longer cover
+  const openSlots = Math.max(0, DECK_SIZE - deck.length)
+  Object.entries(REQUIRED_ROLES).forEach(([role, minimum]) => {
+    const missing = minimum - (roleCounts[role] || 0)
+    if (missing > openSlots) {
+      penalty += (missing - openSlots) * 10
+    }
+  })
+  
   return penalty
 }
 
+/**
+ * Compute elixir curve penalty: squared z-scores of the deck's average
+ * elixir and (for complete decks) 4-card cycle cost against the top decks.
+ * The average of fewer cards spreads wider than a full deck's, so the
+ * standard deviation is scaled by sqrt(8 / cards counted) for partial decks
+ * @param {string[]} deck - Array of card names
+ * @param {Object} deckStats - DeckStats object
+ * @returns {number} Elixir penalty (positive value to subtract)
+ */
+function computeElixirPenalty(deck, deckStats) {
+  const { elixirStats, elixirCosts } = deckStats
+  if (!elixirStats || !elixirCosts) return 0
+  
+  const { averageElixir, cycleCost, knownCount } = computeElixirStats(
+    deck,
+    (card) => elixirCosts[card] ?? null,
+  )
+  if (knownCount === 0) return 0
+  
+  const averageStd = elixirStats.std * Math.sqrt(DECK_SIZE / Math.min(knownCount, DECK_SIZE))
+  const zAverage = (averageElixir - elixirStats.mean) / averageStd
+  let penalty = zAverage * zAverage
+  
+  // A partial deck's cheapest four cards say little about its final cycle
+  if (deck.length >= 8 && cycleCost !== null) {
+    const zCycle = (cycleCost - elixirStats.cycleMean) / elixirStats.cycleStd
+    penalty += zCycle * zCycle
+  }
+  
+  return penalty
+}
+
+/**
+ * Compute evolution score. Evolved cards are placed in the evolution slots
+ * when the deck is played, so card order does not matter: each evolution
+ * slot is credited +1 for one of the player's evolved cards, and a slot left
+ * without one costs the evolution rate in the top decks of the deck's most
+ * often evolved remaining card, since the meta relies on that evolution
+ * @param {string[]} deck - Array of card names
+ * @param {Object} deckStats - DeckStats object
+ * @param {Map} playerEvolutions - Map of card name -> evolution level
+ * @returns {number} Evolution score in [-1, 1]
+ */
+function computeEvolutionScore(deck, deckStats, playerEvolutions) {
+  if (!playerEvolutions) return 0
+  
+  const evolvedCount = deck.filter((card) => playerEvolutions.has(card)).length
+  const credited = Math.min(evolvedCount, MAX_EVOLUTIONS)
+  const missedRates = deck
+    .filter((card) => !playerEvolutions.has(card))
+    .map((card) => deckStats.evolutionRate?.[card] || 0)
+    .sort((a, b) => b - a)
+    .slice(0, MAX_EVOLUTIONS - credited)
+  
+  const score = credited - missedRates.reduce((sum, rate) => sum + rate, 0)
+  return score / MAX_EVOLUTIONS
+}
+
 /**
  * Score a deck
  * @param {string[]} deck - Array of card names
  * @param {Object} deckStats - DeckStats object
  * @param {Map|Object} playerLevels - Map or object of card name -> level
- * @param {Map} roleMap - Map of card name -> role
+ * @param {Map} roleMap - Map of card name -> roles
  * @param {Object} weights - Weight configuration
+ * @param {Map} [playerEvolutions] - Map of card name -> evolution level for
+ *   the player's evolved cards; without it evolutions are not scored
  * @returns {number} Deck score
  */
-function scoreDeck(deck, deckStats, playerLevels, roleMap, weights = {}) {
+function scoreDeck(deck, deckStats, playerLevels, roleMap, weights = {}, playerEvolutions = null) {
   const alpha = weights.alpha ?? DEFAULT_WEIGHTS.alpha
   const beta = weights.beta ?? DEFAULT_WEIGHTS.beta
   const gamma = weights.gamma ?? DEFAULT_WEIGHTS.gamma
   const lambda = weights.lambda ?? DEFAULT_WEIGHTS.lambda
   const mu = weights.mu ?? DEFAULT_WEIGHTS.mu
   const nu = weights.nu ?? DEFAULT_WEIGHTS.nu
+  const eta = weights.eta ?? DEFAULT_WEIGHTS.eta
+  const kappa = weights.kappa ?? DEFAULT_WEIGHTS.kappa
   
   const synergy = computeSynergy(deck, deckStats)
   const meta = computeMeta(deck, deckStats)
@@ -534,8 +743,10 @@ function scoreDeck(deck, deckStats, playerLevels, roleMap, weights = {}) {
   const rolePenalty = computeRolePenalty(deck, deckStats, roleMap)
   const hardConstraintPenalty = computeHardConstraintPenalty(deck, roleMap)
   const frequencyPenalty = computeFrequencyPenalty(deck, deckStats)
+  const elixirPenalty = computeElixirPenalty(deck, deckStats)
+  const evolutionScore = computeEvolutionScore(deck, deckStats, playerEvolutions)
   
-  return alpha * synergy + beta * meta + gamma * levelScore - lambda * rolePenalty - mu * hardConstraintPenalty - nu * frequencyPenalty
+  return alpha * synergy + beta * meta + gamma * levelScore + kappa * evolutionScore - lambda * rolePenalty - mu * hardConstraintPenalty - nu * frequencyPenalty - eta * elixirPenalty
 }
 
 /**
@@ -543,13 +754,14 @@ function scoreDeck(deck, deckStats, playerLevels, roleMap, weights = {}) {
  * @param {string[]} partialDeck - Array of card names (may be incomplete)
  * @param {Object} deckStats - DeckStats object
  * @param {Map|Object} playerLevels - Map or object of card name -> level
- * @param {Map} roleMap - Map of card name -> role
+ * @param {Map} roleMap - Map of card name -> roles
  * @param {Object} weights - Weight configuration
+ * @param {Map} [playerEvolutions] - Map of card name -> evolution level
  * @returns {number} Partial deck score
  */
-function scorePartialDeck(partialDeck, deckStats, playerLevels, roleMap, weights = {}) {
+function scorePartialDeck(partialDeck, deckStats, playerLevels, roleMap, weights = {}, playerEvolutions = null) {
   // Use same scoring function, but it will naturally handle partial decks
-  return scoreDeck(partialDeck, deckStats, playerLevels, roleMap, weights)
+  return scoreDeck(partialDeck, deckStats, playerLevels, roleMap, weights, playerEvolutions)
 }
 
 /**
@@ -614,18 +826,32 @@ function getPlayableCards(playerLevels, backupMap, deckStats, weights = {}) {
 }
 
 /**
- * Build a deck using beam search
+ * Run beam search and return the final beams, best first
  * @param {Object} deckStats - DeckStats object
  * @param {Map|Object} playerLevels - Map or object of card name -> level
  * @param {Object} backupMap - Map of card name -> backup names array
- * @param {Map} roleMap - Map of card name -> role
- * @param {Object} options - Configuration options
- * @returns {string[]|null} Best deck (array of card names) or null if no valid deck found
+ * @param {Map} roleMap - Map of card name -> roles
+ * @param {Object} options - Options of buildDeckBeamSearch, plus:
+ * @param {string[][]} [options.avoidDecks] - Decks the result must differ from
+ * @param {number} [options.minCardDifference] - Cards the result must not
+ *   share with each avoided deck
+ * @param {Set<string>} [options.avoidWincons] - Win conditions the search
+ *   never adds
+ * @returns {Array} Array of {deck: string[], score: number}, empty if no
+ *   valid deck was found
  */
-function buildDeckBeamSearch(deckStats, playerLevels, backupMap, roleMap, options = {}) {
+function searchDeckBeams(deckStats, playerLevels, backupMap, roleMap, options = {}) {
   const beamWidth = options.beamWidth ?? DEFAULT_BEAM_WIDTH
   const weights = options.weights || {}
   const targetDeckSize = options.deckSize ?? 8
+  const playerEvolutions = options.playerEvolutions || null
+  const includeCards = normalizeCardList(options.includeCards).slice(0, targetDeckSize)
+  const excludeCards = new Set(normalizeCardList(options.excludeCards))
+  const avoidDecks = (options.avoidDecks || []).map((deck) => new Set(deck))
+  const maxSharedCards = targetDeckSize - (options.minCardDifference ?? 0)
+  const avoidWincons = options.avoidWincons || new Set()
+  const random = options.seed ? createSeededRandom(options.seed) : null
+  const jitter = () => (random ? (random() - 0.5) * SEED_JITTER : 0)
   
   // Convert playerLevels to Map if needed
   const playerLevelsMap = playerLevels instanceof Map 
@@ -634,17 +860,24 @@ function buildDeckBeamSearch(deckStats, playerLevels, backupMap, roleMap, option
   
   // Get playable cards
   const playableCards = getPlayableCards(playerLevelsMap, backupMap, deckStats, weights)
-  const playableArray = Array.from(playableCards)
+  const playableArray = Array.from(playableCards).filter(
+    (card) => !excludeCards.has(card) && !avoidWincons.has(card),
+  )
   
   if (playableArray.length === 0) {
-    return null
+    return []
   }
   
-  // Initialize beam with empty deck
-  let beams = [{ deck: [], score: 0 }]
+  // Shared cards only grow as a deck fills, so a partial deck sharing too
+  // many with an avoided deck can be dropped right away
+  const sharesTooMany = (deck) =>
+    avoidDecks.some((avoided) => deck.filter((card) => avoided.has(card)).length > maxSharedCards)
+  
+  // Initialize beam with the included cards (an empty deck without any)
+  let beams = [{ deck: includeCards, score: 0 }]
   
   // Build deck slot by slot
-  for (let step = 0; step < targetDeckSize; step++) {
+  for (let step = includeCards.length; step < targetDeckSize; step++) {
     const candidates = []
     
     // Expand each beam
@@ -654,7 +887,10 @@ function buildDeckBeamSearch(deckStats, playerLevels, backupMap, roleMap, option
         if (deck.includes(card)) return
         
         const newDeck = [...deck, card]
-        const newScore = scorePartialDeck(newDeck, deckStats, playerLevelsMap, roleMap, weights)
+        if (sharesTooMany(newDeck)) return
+        
+        const newScore =
+          scorePartialDeck(newDeck, deckStats, playerLevelsMap, roleMap, weights, playerEvolutions) + jitter()
         
         candidates.push({
           deck: newDeck,
@@ -668,22 +904,94 @@ function buildDeckBeamSearch(deckStats, playerLevels, backupMap, roleMap, option
     beams = candidates.slice(0, beamWidth)
     
     if (beams.length === 0) {
-      return null // No valid candidates
+      return [] // No valid candidates
     }
   }
   
-  // Return best complete deck
-  if (beams.length > 0) {
-    // Re-score with full deck scoring
-    beams.forEach((beam) => {
-      beam.score = scoreDeck(beam.deck, deckStats, playerLevelsMap, roleMap, weights)
+  // Re-score with full deck scoring
+  beams.forEach((beam) => {
+    beam.score = scoreDeck(beam.deck, deckStats, playerLevelsMap, roleMap, weights, playerEvolutions) + jitter()
+  })
+  
+  beams.sort((a, b) => b.score - a.score)
+  return beams
+}
+
+/**
+ * Build a deck using beam search
+ * @param {Object} deckStats - DeckStats object
+ * @param {Map|Object} playerLevels - Map or object of card name -> level
+ * @param {Object} backupMap - Map of card name -> backup names array
+ * @param {Map} roleMap - Map of card name -> roles
+ * @param {Object} options - Configuration options
+ * @param {Iterable<string>} [options.includeCards] - Cards every deck must
+ *   play, owned or not; the search only fills the remaining slots
+ * @param {Iterable<string>} [options.excludeCards] - Cards the search never
+ *   adds (an included card is still played)
+ * @param {number} [options.seed] - Non-zero seeds add reproducible noise to
+ *   the scores, to explore other good decks
+ * @returns {string[]|null} Best deck (array of card names) or null if no valid deck found
+ */
+function buildDeckBeamSearch(deckStats, playerLevels, backupMap, roleMap, options = {}) {
+  const beams = searchDeckBeams(deckStats, playerLevels, backupMap, roleMap, options)
+  return beams.length > 0 ? beams[0].deck : null
+}
+
+/**
+ * Build several mutually different decks. Beam search converges on
+ * near-identical decks, so each deck is searched again with the earlier ones
+ * to avoid: it must differ from each by at least minCardDifference cards,
+ * and with distinctWincons must not reuse their win conditions. Every deck
+ * keeps a win condition, so with distinctWincons generation stops once no
+ * unused one is playable.
+ * @param {Object} deckStats - DeckStats object
+ * @param {Map|Object} playerLevels - Map or object of card name -> level
+ * @param {Object} backupMap - Map of card name -> backup names array
+ * @param {Map} roleMap - Map of card name -> roles
+ * @param {Object} options - Options of buildDeckBeamSearch, plus:
+ * @param {number} [options.count] - Number of decks to build
+ * @param {number} [options.minCardDifference] - Cards each deck must not
+ *   share with every other (capped by the slots left after includeCards)
+ * @param {boolean} [options.distinctWincons] - Give every deck different win
+ *   conditions (included cards aside)
+ * @returns {Array} Array of {deck, score, wincons}, best first; fewer than
+ *   count when the collection runs out of different decks or win conditions
+ */
+function buildDiverseDecks(deckStats, playerLevels, backupMap, roleMap, options = {}) {
+  const count = options.count ?? DEFAULT_DIVERSE_COUNT
+  const targetDeckSize = options.deckSize ?? 8
+  const includeCards = normalizeCardList(options.includeCards).slice(0, targetDeckSize)
+  const minCardDifference = Math.min(
+    options.minCardDifference ?? DEFAULT_MIN_CARD_DIFFERENCE,
+    targetDeckSize - includeCards.length,
+  )
+  const decks = []
+  const avoidWincons = new Set()
+  
+  // Without free slots every deck would be the same
+  const maxDecks = minCardDifference > 0 ? count : Math.min(count, 1)
+  
+  while (decks.length < maxDecks) {
+    const beams = searchDeckBeams(deckStats, playerLevels, backupMap, roleMap, {
+      ...options,
+      avoidDecks: decks.map((entry) => entry.deck),
+      minCardDifference,
+      avoidWincons: options.distinctWincons ? avoidWincons : null,
     })
+    const hasWincon = (beam) => beam.deck.some((card) => getRoles(card, roleMap).includes('wincon'))
+    const best = options.distinctWincons ? beams.find(hasWincon) : beams[0]
+    if (!best) break
     
-    beams.sort((a, b) => b.score - a.score)
-    return beams[0].deck
+    const { deck, score } = best
+    const wincons = deck.filter((card) => getRoles(card, roleMap).includes('wincon'))
+    wincons
+      .filter((card) => !includeCards.includes(card))
+      .forEach((card) => avoidWincons.add(card))
+    decks.push({ deck, score, wincons })
   }
   
-  return null
+  // Later searches can still beat earlier ones
+  return decks.sort((a, b) => b.score - a.score)
 }
 
 /**
@@ -692,48 +1000,115 @@ function buildDeckBeamSearch(deckStats, playerLevels, backupMap, roleMap, option
  * @param {Object} deckStats - DeckStats object
  * @param {Map|Object} playerLevels - Map or object of card name -> level
  * @param {Object} backupMap - Map of card name -> backup names array
- * @param {Map} roleMap - Map of card name -> role
+ * @param {Map} roleMap - Map of card name -> roles
  * @param {Object} options - Configuration options
- * @returns {Array} Array of {card: string, score: number} sorted by score descending
+ * @param {Iterable<string>} [options.includeCards] - Cards the deck must
+ *   play; those not in it yet are suggested first, and the others are scored
+ *   as if they were already in
+ * @param {Iterable<string>} [options.excludeCards] - Cards never suggested
+ * @returns {Array} Array of {card: string, score: number, included: boolean},
+ *   included cards first, then by score descending
  */
 function getNextCardSuggestions(currentDeck, deckStats, playerLevels, backupMap, roleMap, options = {}) {
   const k = options.topK ?? 10
   const weights = options.weights || {}
+  const playerEvolutions = options.playerEvolutions || null
+  const targetDeckSize = options.deckSize ?? DECK_SIZE
+  const excludeCards = new Set(normalizeCardList(options.excludeCards))
   
   // Convert playerLevels to Map if needed
   const playerLevelsMap = playerLevels instanceof Map 
     ? playerLevels 
     : new Map(Object.entries(playerLevels))
   
-  // Get playable cards (not already in deck)
-  const playableCards = getPlayableCards(playerLevelsMap, backupMap, deckStats, weights)
   const currentDeckSet = new Set(currentDeck)
-  const candidates = Array.from(playableCards).filter((card) => !currentDeckSet.has(card))
+  const pendingIncludes = normalizeCardList(options.includeCards)
+    .filter((card) => !currentDeckSet.has(card))
+    .slice(0, Math.max(targetDeckSize - currentDeck.length, 0))
+  const pendingSet = new Set(pendingIncludes)
+  
+  // Included cards get scored on their own; the others only compete for the
+  // slots the included cards leave open
+  const includedSuggestions = pendingIncludes.map((card) => ({
+    card,
+    score: scorePartialDeck([...currentDeck, card], deckStats, playerLevelsMap, roleMap, weights, playerEvolutions),
+    included: true,
+  }))
+  includedSuggestions.sort((a, b) => b.score - a.score)
+  if (currentDeck.length + pendingIncludes.length >= targetDeckSize) {
+    return includedSuggestions.slice(0, k)
+  }
+  
+  // Get playable cards (not already in deck, included or excluded)
+  const playableCards = getPlayableCards(playerLevelsMap, backupMap, deckStats, weights)
+  const candidates = Array.from(playableCards).filter(
+    (card) => !currentDeckSet.has(card) && !pendingSet.has(card) && !excludeCards.has(card),
+  )
   
   // Score each candidate
   const suggestions = candidates.map((card) => {
-    const testDeck = [...currentDeck, card]
-    const score = scorePartialDeck(testDeck, deckStats, playerLevelsMap, roleMap, weights)
-    return { card, score }
+    const testDeck = [...currentDeck, ...pendingIncludes, card]
+    const score = scorePartialDeck(testDeck, deckStats, playerLevelsMap, roleMap, weights, playerEvolutions)
+    return { card, score, included: false }
   })
   
   // Sort by score descending and return top K
   suggestions.sort((a, b) => b.score - a.score)
-  return suggestions.slice(0, k)
+  return [...includedSuggestions, ...suggestions].slice(0, k)
+}
+
+/**
+ * Explain each card's part in a deck: its mean PMI with the rest of the deck
+ * (synergy), the deck cards it pairs best with, and the share of top decks
+ * playing it (meta)
+ * @param {string[]} deck - Array of card names
+ * @param {Object} deckStats - DeckStats object
+ * @param {Map} roleMap - Map of card name -> roles
+ * @returns {Array} Array of {card, synergy, partners, metaShare, roles}, in deck order
+ */
+function explainDeck(deck, deckStats, roleMap) {
+  return deck.map((card) => {
+    const pairs = deck
+      .filter((other) => other !== card)
+      .map((other) => ({
+        card: other,
+        pmi: deckStats.PMI[card]?.[other] || deckStats.PMI[other]?.[card] || 0,
+      }))
+    const synergy = pairs.length
+      ? pairs.reduce((sum, pair) => sum + pair.pmi, 0) / pairs.length
+      : 0
+    const partners = pairs
+      .filter((pair) => pair.pmi > 0)
+      .sort((a, b) => b.pmi - a.pmi)
+      .slice(0, 2)
+      .map((pair) => pair.card)
+    
+    return {
+      card,
+      synergy,
+      partners,
+      metaShare: deckStats.p[card] || 0,
+      roles: getRoles(card, roleMap),
+    }
+  })
 }
 
 /**
  * Main entry point: Initialize deckbuilder with good decks
  * @param {Array} goodDecks - Array of deck objects or arrays of card names
+ * @param {Object} options - Configuration options
+ * @param {Object} options.cardCatalog - Card catalog (services/cardCatalog) used
+ *   to describe suggested cards the player's collection does not cover
  * @returns {Object} Deckbuilder instance with methods
  */
-function createDeckbuilder(goodDecks) {
+function createDeckbuilder(goodDecks, options = {}) {
   if (!Array.isArray(goodDecks) || goodDecks.length === 0) {
     throw new Error('goodDecks must be a non-empty array')
   }
   
   // Precompute stats
-  const deckStats = computeDeckStats(goodDecks)
+  const cardCatalog = options.cardCatalog || null
+  const deckStats = computeDeckStats(goodDecks, { cardCatalog })
   const backupMap = buildBackupMap()
   const roleMap = buildRoleMap()
   
@@ -741,24 +1116,85 @@ function createDeckbuilder(goodDecks) {
     /**
      * Build a complete deck for a player
      * @param {Array} playerCards - Array of card objects with name and level
-     * @param {Object} options - Configuration options
+     * @param {Object} options - Configuration options (e.g. includeCards,
+     *   excludeCards)
      * @returns {string[]|null} Best deck or null
      */
     buildDeck(playerCards, options = {}) {
       const playerLevels = buildPlayerLevelsMap(playerCards)
-      return buildDeckBeamSearch(deckStats, playerLevels, backupMap, roleMap, options)
+      const playerEvolutions = buildPlayerEvolutions(playerCards)
+      return buildDeckBeamSearch(deckStats, playerLevels, backupMap, roleMap, { ...options, playerEvolutions })
+    },
+    
+    /**
+     * Build several mutually different decks for a player
+     * @param {Array} playerCards - Array of card objects with name and level
+     * @param {Object} options - Configuration options (e.g. count,
+     *   minCardDifference, distinctWincons, includeCards, excludeCards)
+     * @returns {Array} Array of {deck, score, wincons}, best first
+     */
+    buildDiverseDecks(playerCards, options = {}) {
+      const playerLevels = buildPlayerLevelsMap(playerCards)
+      const playerEvolutions = buildPlayerEvolutions(playerCards)
+      return buildDiverseDecks(deckStats, playerLevels, backupMap, roleMap, { ...options, playerEvolutions })
+    },
+    
+    /**
+     * Fill the remaining slots of a partial deck with beam search
+     * @param {string[]} lockedCards - Cards the deck must keep
+     * @param {Array} playerCards - Array of card objects with name and level
+     * @param {Object} options - Configuration options (e.g. seed,
+     *   includeCards, excludeCards)
+     * @returns {Object|null} { deck, cards } where cards explain each card
+     *   (see explainDeck) and flag the locked ones, or null if no deck was found
+     */
+    completeDeck(lockedCards, playerCards, options = {}) {
+      const playerLevels = buildPlayerLevelsMap(playerCards)
+      const playerEvolutions = buildPlayerEvolutions(playerCards)
+      const deck = buildDeckBeamSearch(deckStats, playerLevels, backupMap, roleMap, {
+        ...options,
+        includeCards: [...lockedCards, ...normalizeCardList(options.includeCards)],
+        playerEvolutions,
+      })
+      if (!deck) return null
+      
+      const locked = new Set(lockedCards)
+      return {
+        deck,
+        cards: explainDeck(deck, deckStats, roleMap).map((entry) => ({
+          ...entry,
+          locked: locked.has(entry.card),
+        })),
+      }
     },
     
     /**
      * Get suggestions for next card in interactive builder
      * @param {string[]} currentDeck - Current partial deck
      * @param {Array} playerCards - Array of card objects with name and level
-     * @param {Object} options - Configuration options
+     * @param {Object} options - Configuration options (e.g. topK,
+     *   includeCards, excludeCards)
      * @returns {Array} Array of suggestions
      */
     suggestNextCard(currentDeck, playerCards, options = {}) {
       const playerLevels = buildPlayerLevelsMap(playerCards)
-      return getNextCardSuggestions(currentDeck, deckStats, playerLevels, backupMap, roleMap, options)
+      const playerEvolutions = buildPlayerEvolutions(playerCards)
+      const suggestions = getNextCardSuggestions(currentDeck, deckStats, playerLevels, backupMap, roleMap, {
+        ...options,
+        playerEvolutions,
+      })
+      if (!cardCatalog) return suggestions
+
+      // Attach catalog metadata so callers can render and filter suggestions
+      return suggestions.map((suggestion) => {
+        const entry = cardCatalog.getCard(suggestion.card)
+        return {
+          ...suggestion,
+          cardId: entry?.id ?? null,
+          elixirCost: entry?.elixirCost ?? null,
+          rarity: entry?.rarity ?? null,
+        }
+      })
     },
     
     /**
@@ -770,8 +1206,9 @@ function createDeckbuilder(goodDecks) {
      */
     scoreDeck(deck, playerCards, options = {}) {
       const playerLevels = buildPlayerLevelsMap(playerCards)
+      const playerEvolutions = buildPlayerEvolutions(playerCards)
       const weights = options.weights || {}
-      return scoreDeck(deck, deckStats, playerLevels, roleMap, weights)
+      return scoreDeck(deck, deckStats, playerLevels, roleMap, weights, playerEvolutions)
     },
     
     /**
@@ -786,8 +1223,13 @@ function createDeckbuilder(goodDecks) {
 export {
   createDeckbuilder,
   computeDeckStats,
+  buildRoleMap,
+  getRoles,
+  countRoles,
   scoreDeck,
   buildDeckBeamSearch,
+  buildDiverseDecks,
+  explainDeck,
   getNextCardSuggestions,
   getBackupReplacement,
   buildPlayerLevelsMap,
@@ -0,0 +1,214 @@
+/**
+ * Upgrade Planner
+ *
+ * Answers "what should I upgrade next?" by re-running the deck optimizer
+ * over the leaderboard decks with one card changed at a time: each owned
+ * card upgraded by one level, and each missing card unlocked at its
+ * rarity's first level. Changes are ranked by the decks they make playable,
+ * then by the score they add across all decks.
+ *
+ * That is one optimizer run per deck for every card, so the work is split
+ * into short chunks that give the browser back control in between.
+ */
+
+import cardBackups from '../data/card_backups.json'
+import { optimizeDeck } from './deckOptimizer'
+import { getUpgradeStepCost, toDisplayLevel } from '../utils/upgradeCosts'
+
+// Raw optimizer scores count one card level in one slot as 1/18
+const LEVELS_PER_RAW_SCORE = 18
+
+// Longest stretch of optimizer runs before yielding to the browser
+const CHUNK_BUDGET_MS = 12
+
+const yieldToBrowser = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+/**
+ * Run `work` on every item, yielding to the browser whenever a chunk has
+ * used up its time budget. Resolves to the results in order, or null once
+ * `signal` is aborted.
+ */
+async function runInChunks(items, work, { signal, onProgress } = {}) {
+  const results = []
+  let chunkStart = Date.now()
+
+  for (let i = 0; i < items.length; i += 1) {
+    if (Date.now() - chunkStart >= CHUNK_BUDGET_MS) {
+      if (onProgress) onProgress(i, items.length)
+      await yieldToBrowser()
+      chunkStart = Date.now()
+    }
+    if (signal?.aborted) return null
+    results.push(work(items[i]))
+  }
+
+  return results
+}
+
+function normalizeName(name) {
+  return String(name || '').trim()
+}
+
+/**
+ * Map each card name to the indices of the decks it could appear in,
+ * either as one of the deck's cards or as a backup for one.
+ */
+function buildDeckIndex(decks) {
+  const backupsByName = new Map()
+  if (Array.isArray(cardBackups)) {
+    cardBackups.forEach((entry) => {
+      if (!entry?.name || backupsByName.has(entry.name)) return
+      backupsByName.set(
+        entry.name,
+        (entry.backups || []).map((backup) => normalizeName(backup?.name)).filter(Boolean),
+      )
+    })
+  }
+
+  const index = new Map()
+  const add = (name, deckIdx) => {
+    if (!index.has(name)) index.set(name, new Set())
+    index.get(name).add(deckIdx)
+  }
+
+  decks.forEach((deck, deckIdx) => {
+    deck.cards.forEach((card) => {
+      const name = normalizeName(card?.name)
+      if (!name) return
+      add(name, deckIdx)
+      const backups = backupsByName.get(name) || []
+      backups.forEach((backup) => add(backup, deckIdx))
+    })
+  })
+
+  return index
+}
+
+/**
+ * Rank single-card changes by how much they improve the player's
+ * optimized leaderboard decks.
+ *
+ * @param {Array} decks - Leaderboard decks
+ * @param {Array} playerCards - Player's owned cards (from currentPlayer.cards)
+ * @param {Object} options
+ * @param {Function} options.optimizer - Strategy for optimizeDeck, e.g.
+ *   createHungarianOptimizer({ cardCatalog })
+ * @param {Object} options.cardCatalog - Card catalog, used to describe cards
+ *   the player does not own
+ * @param {AbortSignal} [options.signal] - Stops planning between chunks
+ * @param {Function} [options.onProgress] - (cardsDone, cardsTotal), called
+ *   between chunks while the changed cards are scored
+ * @returns {Promise<Array|null>} Steps, best first: { name, action
+ *   ('upgrade'|'unlock'), rarity, fromLevel, toLevel (display levels),
+ *   decksUnlocked, decksImproved, levelGain, cost ({cards, gold}|null),
+ *   cardsOwned }; null when aborted
+ */
+async function planUpgrades(decks, playerCards, options = {}) {
+  const safeDecks = Array.isArray(decks) ? decks.filter((deck) => Array.isArray(deck?.cards)) : []
+  const safePlayerCards = Array.isArray(playerCards) ? playerCards : []
+  const { optimizer, cardCatalog, signal, onProgress } = options
+  if (!safeDecks.length) return []
+
+  const deckIndex = buildDeckIndex(safeDecks)
+  const rawScore = (deck, cards) => optimizeDeck(deck, cards, optimizer)?.rawScore ?? null
+  const baseline = await runInChunks(safeDecks, (deck) => rawScore(deck, safePlayerCards), { signal })
+  if (!baseline) return null
+
+  // Score one simulated collection against the decks the changed card can
+  // appear in; other decks cannot change
+  const simulate = (name, simulatedCards) => {
+    let decksUnlocked = 0
+    let decksImproved = 0
+    let scoreGain = 0
+
+    deckIndex.get(name)?.forEach((deckIdx) => {
+      const before = baseline[deckIdx]
+      const after = rawScore(safeDecks[deckIdx], simulatedCards)
+      if (after === null) return
+      if (before === null) {
+        decksUnlocked += 1
+      } else if (after > before + 1e-9) {
+        decksImproved += 1
+        scoreGain += after - before
+      }
+    })
+
+    return { decksUnlocked, decksImproved, levelGain: scoreGain * LEVELS_PER_RAW_SCORE }
+  }
+
+  // Each change is a step without its deck results, plus the simulated
+  // collection to score it with
+  const changes = []
+  const ownedNames = new Set()
+
+  safePlayerCards.forEach((card, cardIdx) => {
+    const name = normalizeName(card?.name)
+    if (!name) return
+    ownedNames.add(name)
+
+    const level = Number(card.level)
+    const maxLevel = Number(card.maxLevel)
+    if (!Number.isFinite(level) || (Number.isFinite(maxLevel) && level >= maxLevel)) return
+    if (!deckIndex.has(name)) return
+
+    const simulatedCards = [...safePlayerCards]
+    simulatedCards[cardIdx] = { ...card, level: level + 1 }
+    const fromLevel = toDisplayLevel(level, card.rarity)
+
+    changes.push({
+      step: {
+        name,
+        action: 'upgrade',
+        rarity: card.rarity,
+        fromLevel,
+        toLevel: fromLevel + 1,
+        cost: getUpgradeStepCost(card.rarity, fromLevel),
+        cardsOwned: Number.isFinite(card.count) ? card.count : null,
+      },
+      simulatedCards,
+    })
+  })
+
+  deckIndex.forEach((_, name) => {
+    if (ownedNames.has(name)) return
+    const entry = cardCatalog?.getCard(name)
+    const rarity = entry?.rarity ?? null
+
+    const simulatedCards = [
+      ...safePlayerCards,
+      { id: entry?.id ?? name, name, level: 1, rarity, evolutionLevel: 0 },
+    ]
+    const level = toDisplayLevel(1, rarity)
+
+    changes.push({
+      step: {
+        name,
+        action: 'unlock',
+        rarity,
+        fromLevel: null,
+        toLevel: level,
+        cost: null,
+        cardsOwned: 0,
+      },
+      simulatedCards,
+    })
+  })
+
+  const steps = await runInChunks(
+    changes,
+    ({ step, simulatedCards }) => ({ ...step, ...simulate(step.name, simulatedCards) }),
+    { signal, onProgress },
+  )
+  if (!steps) return null
+
+  return steps
+    .filter((step) => step.decksUnlocked > 0 || step.decksImproved > 0)
+    .sort(
+      (a, b) =>
+        b.decksUnlocked - a.decksUnlocked ||
+        b.levelGain - a.levelGain ||
+        (a.cost?.gold ?? 0) - (b.cost?.gold ?? 0),
+    )
+}
+
+export { planUpgrades }
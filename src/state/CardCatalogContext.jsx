@@ -0,0 +1,54 @@
+import { createContext, useContext, useEffect, useMemo, useState } from 'react'
+import {
+  createCardCatalog,
+  fetchCardCatalog,
+  EMPTY_CARD_CATALOG,
+} from '../services/cardCatalog'
+
+const CardCatalogContext = createContext(null)
+
+function CardCatalogProvider({ children }) {
+  const [catalog, setCatalog] = useState(EMPTY_CARD_CATALOG)
+  const [isLoadingCatalog, setIsLoadingCatalog] = useState(true)
+  const [catalogError, setCatalogError] = useState(null)
+
+  // The catalog is loaded once per session; until it arrives consumers get
+  // an empty catalog and fall back to player card data.
+  useEffect(() => {
+    let cancelled = false
+
+    fetchCardCatalog()
+      .then((cards) => {
+        if (!cancelled) setCatalog(createCardCatalog(cards))
+      })
+      .catch((error) => {
+        if (!cancelled) {
+          setCatalogError(error instanceof Error ? error.message : 'Failed to load cards')
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoadingCatalog(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const value = useMemo(
+    () => ({ catalog, isLoadingCatalog, catalogError }),
+    [catalog, isLoadingCatalog, catalogError],
+  )
+
+  return <CardCatalogContext.Provider value={value}>{children}</CardCatalogContext.Provider>
+}
+
+function useCardCatalog() {
+  const context = useContext(CardCatalogContext)
+  if (!context) {
+    throw new Error('useCardCatalog must be used within a CardCatalogProvider')
+  }
+  return context
+}
+
+export { CardCatalogProvider, useCardCatalog }
@@ -8,14 +8,20 @@ function normalizeTag(rawTag) {
   return trimmed.startsWith('#') ? trimmed : `#${trimmed}`
 }
 
-async function fetchPlayerByTag(tag) {
+/**
+ * Fetch a player profile. getPlayer serves cached profiles; `force` asks it
+ * to skip the cache. Resolves with the player plus cache metadata read from
+ * the X-Cache, Last-Updated and Warning response headers.
+ */
+async function fetchPlayerByTag(tag, { force = false } = {}) {
   const normalized = normalizeTag(tag)
   if (!normalized) return null
 
   const encodedTag = encodeURIComponent(normalized)
+  const forceParam = force ? '&force=true' : ''
 
   const response = await fetch(
-    `https://us-central1-clash-cache.cloudfunctions.net/getPlayer?tag=${encodedTag}`,
+    `https://us-central1-clash-cache.cloudfunctions.net/getPlayer?tag=${encodedTag}${forceParam}`,
   )
 
   if (!response.ok) {
@@ -33,7 +39,13 @@ async function fetchPlayerByTag(tag) {
     throw new Error(message)
   }
 
-  return response.json()
+  const lastUpdated = response.headers.get('Last-Updated')
+  return {
+    player: await response.json(),
+    cacheStatus: response.headers.get('X-Cache'),
+    lastUpdated: lastUpdated ? new Date(lastUpdated).toISOString() : null,
+    warning: response.headers.get('Warning'),
+  }
 }
 
 function PlayerTagProvider({ children }) {
@@ -41,14 +53,17 @@ function PlayerTagProvider({ children }) {
   const [currentPlayer, setCurrentPlayer] = useState(null)
   const [isLoadingPlayer, setIsLoadingPlayer] = useState(false)
   const [playerError, setPlayerError] = useState(null)
+  // { cacheStatus, lastUpdated, warning } for the loaded profile
+  const [playerFreshness, setPlayerFreshness] = useState(null)
 
-  const loadPlayerForTag = async (rawTag) => {
+  const loadPlayerForTag = async (rawTag, options) => {
     const normalized = normalizeTag(rawTag)
     setPlayerTag(normalized)
 
     if (!normalized) {
       setCurrentPlayer(null)
       setPlayerError(null)
+      setPlayerFreshness(null)
       return
     }
 
@@ -56,10 +71,12 @@ function PlayerTagProvider({ children }) {
     setPlayerError(null)
 
     try {
-      const player = await fetchPlayerByTag(normalized)
+      const { player, ...freshness } = await fetchPlayerByTag(normalized, options)
       setCurrentPlayer(player)
+      setPlayerFreshness(freshness)
     } catch (error) {
       setCurrentPlayer(null)
+      setPlayerFreshness(null)
       setPlayerError(error instanceof Error ? error.message : 'Failed to load player')
     } finally {
       setIsLoadingPlayer(false)
@@ -103,9 +120,10 @@ function PlayerTagProvider({ children }) {
       currentPlayer,
       isLoadingPlayer,
       playerError,
+      playerFreshness,
       loadPlayerForTag,
     }),
-    [playerTag, currentPlayer, isLoadingPlayer, playerError],
+    [playerTag, currentPlayer, isLoadingPlayer, playerError, playerFreshness],
   )
 
   return <PlayerTagContext.Provider value={value}>{children}</PlayerTagContext.Provider>
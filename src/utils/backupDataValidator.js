@@ -0,0 +1,217 @@
+// Validation, diffing and export for the hand-maintained card data files
+// (card_backups.json and card_roles.json), shared by the admin editor and
+// scripts/validate-backup-data.js
+//
+// Kept free of imports so the Node script can load it as-is.
+
+const MIN_STARS = 1
+const MAX_STARS = 3
+
+function normalizeName(name) {
+  return String(name || '').trim()
+}
+
+/**
+ * Validate backup and role data against a list of real card names.
+ *
+ * Errors make the data unusable or wrong (unknown or duplicate names,
+ * self-referencing backups, stars outside 1–3); warnings are gaps worth a
+ * look (catalog cards with no backups or no role). Without card names the
+ * name checks are skipped.
+ *
+ * @param {{backups: Array, roles: Object}} data - Parsed card_backups.json
+ *   and card_roles.json
+ * @param {Array<string>|null} cardNames - Every real card name, e.g. from
+ *   the card catalog
+ * @returns {{errors: Array<{path: string, message: string}>,
+ *   warnings: Array<{path: string, message: string}>}}
+ */
+function validateBackupData(data, cardNames) {
+  const errors = []
+  const warnings = []
+  const known = Array.isArray(cardNames) && cardNames.length ? new Set(cardNames) : null
+  const checkName = (name, path) => {
+    if (known && !known.has(name)) errors.push({ path, message: `Unknown card "${name}"` })
+  }
+
+  if (!known) {
+    warnings.push({ path: '', message: 'No card list given, card names were not checked' })
+  }
+
+  const backups = data?.backups
+  const entryNames = new Set()
+  if (!Array.isArray(backups)) {
+    errors.push({ path: 'backups', message: 'Backups must be an array of card entries' })
+  } else {
+    backups.forEach((entry, entryIdx) => {
+      const name = normalizeName(entry?.name)
+      const path = `backups[${entryIdx}]`
+      if (!name) {
+        errors.push({ path, message: 'Entry has no card name' })
+        return
+      }
+      checkName(name, `${path}.name`)
+      if (entryNames.has(name)) {
+        errors.push({ path, message: `Duplicate entry for "${name}"` })
+      }
+      entryNames.add(name)
+
+      if (!Array.isArray(entry.backups)) {
+        errors.push({ path: `${path}.backups`, message: `"${name}" has no backups array` })
+        return
+      }
+
+      const seen = new Set()
+      entry.backups.forEach((backup, backupIdx) => {
+        const backupName = normalizeName(backup?.name)
+        const backupPath = `${path}.backups[${backupIdx}]`
+        if (!backupName) {
+          errors.push({ path: backupPath, message: `Backup of "${name}" has no card name` })
+          return
+        }
+        checkName(backupName, `${backupPath}.name`)
+        if (backupName === name) {
+          errors.push({ path: backupPath, message: `"${name}" lists itself as a backup` })
+        }
+        if (seen.has(backupName)) {
+          errors.push({ path: backupPath, message: `"${name}" lists "${backupName}" twice` })
+        }
+        seen.add(backupName)
+
+        const stars = backup.stars
+        if (!Number.isInteger(stars) || stars < MIN_STARS || stars > MAX_STARS) {
+          errors.push({
+            path: `${backupPath}.stars`,
+            message: `Stars for "${name}" → "${backupName}" must be ${MIN_STARS}–${MAX_STARS}`,
+          })
+        }
+      })
+    })
+  }
+
+  const roles = data?.roles
+  const roleNames = new Set()
+  if (!roles || typeof roles !== 'object' || Array.isArray(roles)) {
+    errors.push({ path: 'roles', message: 'Roles must be an object of role → card names' })
+  } else {
+    Object.entries(roles).forEach(([role, names]) => {
+      if (!Array.isArray(names)) {
+        errors.push({ path: `roles.${role}`, message: `Role "${role}" must be an array` })
+        return
+      }
+      const seen = new Set()
+      names.forEach((rawName, nameIdx) => {
+        const name = normalizeName(rawName)
+        const path = `roles.${role}[${nameIdx}]`
+        if (!name) {
+          errors.push({ path, message: `Empty card name in role "${role}"` })
+          return
+        }
+        checkName(name, path)
+        if (seen.has(name)) {
+          errors.push({ path, message: `"${name}" is listed twice in role "${role}"` })
+        }
+        seen.add(name)
+        roleNames.add(name)
+      })
+    })
+  }
+
+  if (known) {
+    known.forEach((name) => {
+      if (!entryNames.has(name)) {
+        warnings.push({ path: 'backups', message: `"${name}" has no backup entry` })
+      }
+      if (roleNames.size && !roleNames.has(name)) {
+        warnings.push({ path: 'roles', message: `"${name}" has no role` })
+      }
+    })
+  }
+
+  return { errors, warnings }
+}
+
+/**
+ * List the changes between two versions of the backup and role data.
+ *
+ * @param {{backups: Array, roles: Object}} before
+ * @param {{backups: Array, roles: Object}} after
+ * @returns {Array<{kind: 'added'|'removed'|'changed', file: 'backups'|'roles',
+ *   label: string, before: *, after: *}>}
+ */
+function diffBackupData(before, after) {
+  const changes = []
+
+  const backupStars = (backups) => {
+    const stars = new Map()
+    if (!Array.isArray(backups)) return stars
+    backups.forEach((entry) => {
+      const name = normalizeName(entry?.name)
+      if (!name || !Array.isArray(entry.backups)) return
+      entry.backups.forEach((backup) => {
+        const backupName = normalizeName(backup?.name)
+        if (backupName) stars.set(`${name} → ${backupName}`, backup.stars)
+      })
+    })
+    return stars
+  }
+
+  const beforeStars = backupStars(before?.backups)
+  const afterStars = backupStars(after?.backups)
+  beforeStars.forEach((stars, label) => {
+    if (!afterStars.has(label)) {
+      changes.push({ kind: 'removed', file: 'backups', label, before: stars, after: null })
+    } else if (afterStars.get(label) !== stars) {
+      changes.push({
+        kind: 'changed',
+        file: 'backups',
+        label,
+        before: stars,
+        after: afterStars.get(label),
+      })
+    }
+  })
+  afterStars.forEach((stars, label) => {
+    if (!beforeStars.has(label)) {
+      changes.push({ kind: 'added', file: 'backups', label, before: null, after: stars })
+    }
+  })
+
+  const rolePairs = (roles) => {
+    const pairs = new Set()
+    Object.entries(roles && typeof roles === 'object' ? roles : {}).forEach(([role, names]) => {
+      if (!Array.isArray(names)) return
+      names.forEach((name) => {
+        if (normalizeName(name)) pairs.add(`${normalizeName(name)} → ${role}`)
+      })
+    })
+    return pairs
+  }
+
+  const beforeRoles = rolePairs(before?.roles)
+  const afterRoles = rolePairs(after?.roles)
+  beforeRoles.forEach((label) => {
+    if (!afterRoles.has(label)) {
+      changes.push({ kind: 'removed', file: 'roles', label, before: true, after: null })
+    }
+  })
+  afterRoles.forEach((label) => {
+    if (!beforeRoles.has(label)) {
+      changes.push({ kind: 'added', file: 'roles', label, before: null, after: true })
+    }
+  })
+
+  return changes
+}
+
+/**
+ * Serialize a data file the way it is stored in src/data.
+ *
+ * @param {Array|Object} value
+ * @returns {string}
+ */
+function formatDataFile(value) {
+  return `${JSON.stringify(value, null, 2)}\n`
+}
+
+export { MIN_STARS, MAX_STARS, validateBackupData, diffBackupData, formatDataFile }
@@ -0,0 +1,66 @@
+// Elixir statistics for decks, shared by the optimizers and deck views
+
+// A "cycle" is the cost of playing the four cheapest cards to get back to
+// a given card, the usual measure of how fast a deck cycles
+const CYCLE_CARD_COUNT = 4
+
+/**
+ * Read a card's elixir cost from the card itself, falling back to the
+ * given lookup (e.g. the card catalog) for cards that do not carry one.
+ *
+ * @param {Object|string} card - Card object or card name
+ * @param {Function} [lookupElixirCost] - (card) => number|null
+ * @returns {number|null}
+ */
+function getCardElixirCost(card, lookupElixirCost) {
+  if (card && typeof card === 'object' && Number.isFinite(card.elixirCost)) {
+    return card.elixirCost
+  }
+  if (typeof lookupElixirCost === 'function') {
+    const cost = lookupElixirCost(card)
+    return Number.isFinite(cost) ? cost : null
+  }
+  return null
+}
+
+/**
+ * Compute average elixir and 4-card cycle cost for a deck. Cards with an
+ * unknown cost are left out, and `knownCount` says how many were counted.
+ *
+ * @param {Array} cards - Card objects or card names
+ * @param {Function} [lookupElixirCost] - (card) => number|null
+ * @returns {{averageElixir: number|null, cycleCost: number|null, knownCount: number}}
+ */
+function computeElixirStats(cards, lookupElixirCost) {
+  const costs = (Array.isArray(cards) ? cards : [])
+    .map((card) => getCardElixirCost(card, lookupElixirCost))
+    .filter((cost) => cost !== null)
+
+  if (!costs.length) {
+    return { averageElixir: null, cycleCost: null, knownCount: 0 }
+  }
+
+  const total = costs.reduce((sum, cost) => sum + cost, 0)
+  const cheapest = [...costs].sort((a, b) => a - b).slice(0, CYCLE_CARD_COUNT)
+
+  return {
+    averageElixir: total / costs.length,
+    cycleCost:
+      cheapest.length === CYCLE_CARD_COUNT
+        ? cheapest.reduce((sum, cost) => sum + cost, 0)
+        : null,
+    knownCount: costs.length,
+  }
+}
+
+/**
+ * Format an average elixir value the way the game shows it (one decimal).
+ *
+ * @param {number|null} averageElixir
+ * @returns {string}
+ */
+function formatElixir(averageElixir) {
+  return Number.isFinite(averageElixir) ? averageElixir.toFixed(1) : '–'
+}
+
+export { CYCLE_CARD_COUNT, getCardElixirCost, computeElixirStats, formatElixir }
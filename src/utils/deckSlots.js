@@ -0,0 +1,120 @@
+// Deck slot rules shared by the deck views and the optimizers
+//
+// Slots 0/1 are evolution slots: a card there plays as its evolution when
+// the player has unlocked it (`evolutionLevel` > 0). Slots 2/3 are hero slots: champions must sit
+// in one, and a card with a hero form plays as its hero there. Every other
+// card can go anywhere.
+
+const EVOLUTION_SLOT_INDICES = new Set([0, 1])
+const HERO_SLOT_INDICES = new Set([2, 3])
+
+// Cards with a hero form
+const HERO_CARD_NAMES = new Set(['Giant', 'Musketeer', 'Knight', 'Mini P.E.K.K.A'])
+
+// Each champion needs its own hero slot
+const MAX_CHAMPIONS = HERO_SLOT_INDICES.size
+
+// Only cards in an evolution slot play evolved
+const MAX_EVOLUTIONS = EVOLUTION_SLOT_INDICES.size
+
+function isChampion(card) {
+  return Boolean(card) && String(card.rarity || '').toLowerCase() === 'champion'
+}
+
+function isHeroCard(card) {
+  return Boolean(card) && HERO_CARD_NAMES.has(card.name)
+}
+
+function isEvolved(card) {
+  return Boolean(card) && Number(card.evolutionLevel) > 0
+}
+
+/**
+ * Build a map of evolution level by card name for the cards the player has
+ * evolved, keeping the highest level when a name appears twice.
+ *
+ * @param {Array} playerCards - Player card objects with name and evolutionLevel
+ * @returns {Map} Map of card name -> evolution level
+ */
+function buildPlayerEvolutions(playerCards) {
+  const evolutions = new Map()
+
+  if (!Array.isArray(playerCards)) return evolutions
+
+  playerCards.forEach((card) => {
+    if (!isEvolved(card) || !card.name) return
+    const name = String(card.name).trim()
+    const evolutionLevel = Number(card.evolutionLevel)
+    if (!evolutions.has(name) || evolutionLevel > evolutions.get(name)) {
+      evolutions.set(name, evolutionLevel)
+    }
+  })
+
+  return evolutions
+}
+
+/**
+ * Order deck cards so they follow the slot rules, moving as few cards as
+ * possible: champions go to hero slots, then evolved cards take evolution
+ * slots held by cards that are not evolved. Whether a player has unlocked a
+ * hero is not known, so hero-form cards stay where they are. Cards are only
+ * ever swapped, so the rest of the deck keeps its slots.
+ *
+ * @param {Array} cards - Deck cards in slot order
+ * @returns {{cards: Array, positions: number[]}} Arranged cards, and for
+ *   each input index the slot its card ended up in
+ */
+function arrangeDeckSlots(cards) {
+  const arranged = Array.isArray(cards) ? [...cards] : []
+  const origin = arranged.map((_, index) => index)
+
+  const swap = (a, b) => {
+    const card = arranged[a]
+    arranged[a] = arranged[b]
+    arranged[b] = card
+    const from = origin[a]
+    origin[a] = origin[b]
+    origin[b] = from
+  }
+
+  // Champions take a hero slot from a non-champion, preferring one whose
+  // card does not play as a hero there
+  arranged.forEach((_, index) => {
+    if (HERO_SLOT_INDICES.has(index) || !isChampion(arranged[index])) return
+    const slot = [...HERO_SLOT_INDICES]
+      .filter((heroSlot) => heroSlot < arranged.length && !isChampion(arranged[heroSlot]))
+      .sort((a, b) => Number(isHeroCard(arranged[a])) - Number(isHeroCard(arranged[b])))[0]
+    if (slot !== undefined) swap(index, slot)
+  })
+
+  // Champions and heroes already sitting in hero slots stay there
+  arranged.forEach((_, index) => {
+    const card = arranged[index]
+    if (EVOLUTION_SLOT_INDICES.has(index) || !isEvolved(card)) return
+    if (HERO_SLOT_INDICES.has(index) && (isChampion(card) || isHeroCard(card))) return
+    const slot = [...EVOLUTION_SLOT_INDICES].find(
+      (evolutionSlot) => evolutionSlot < arranged.length && !isEvolved(arranged[evolutionSlot]),
+    )
+    if (slot !== undefined) swap(index, slot)
+  })
+
+  const positions = []
+  origin.forEach((from, slot) => {
+    positions[from] = slot
+  })
+
+  return { cards: arranged, positions }
+}
+
+export {
+  EVOLUTION_SLOT_INDICES,
+  HERO_SLOT_INDICES,
+  HERO_CARD_NAMES,
+  MAX_CHAMPIONS,
+  MAX_EVOLUTIONS,
+  isChampion,
+  isHeroCard,
+  isEvolved,
+  buildPlayerEvolutions,
+  arrangeDeckSlots,
+}
@@ -0,0 +1,173 @@
+// Card upgrade costs (cards and gold per level), in display levels, and
+// the cost of bringing a deck's cards up to a target level
+//
+// The API reports levels relative to each rarity's starting level; adding
+// the rarity offset gives the level shown in game (and by Card.jsx). Levels
+// past 14 are upgraded with Elite Wild Cards and are not priced here.
+
+const RARITY_LEVEL_OFFSET = {
+  common: 0,
+  rare: 2,
+  epic: 5,
+  legendary: 8,
+  champion: 10,
+}
+
+// Highest display level with a known cost
+const MAX_PRICED_LEVEL = 14
+
+// Cards needed for each upgrade, from the rarity's starting level up
+const CARDS_PER_UPGRADE = {
+  common: [2, 4, 10, 20, 50, 100, 200, 400, 800, 1000, 1500, 3000, 5000],
+  rare: [2, 4, 10, 20, 50, 100, 200, 400, 500, 750, 1250],
+  epic: [2, 4, 10, 20, 40, 50, 100, 200],
+  legendary: [2, 4, 6, 10, 20],
+  champion: [2, 8, 20],
+}
+
+// Gold for an upgrade to the given display level, the same for every rarity
+const GOLD_BY_TARGET_LEVEL = {
+  2: 5,
+  3: 20,
+  4: 50,
+  5: 150,
+  6: 400,
+  7: 1000,
+  8: 2000,
+  9: 4000,
+  10: 8000,
+  11: 15000,
+  12: 35000,
+  13: 75000,
+  14: 100000,
+}
+
+function normalizeRarity(rarity) {
+  const key = String(rarity || '').toLowerCase()
+  return key in RARITY_LEVEL_OFFSET ? key : null
+}
+
+/**
+ * Convert an API card level to the level shown in game.
+ *
+ * @param {number} level - API level
+ * @param {string} rarity
+ * @returns {number}
+ */
+function toDisplayLevel(level, rarity) {
+  const offset = RARITY_LEVEL_OFFSET[normalizeRarity(rarity)] ?? 0
+  return Math.max(1, (Number(level) || 1) + offset)
+}
+
+/**
+ * Cost of upgrading a card one level, from `displayLevel` to the next.
+ *
+ * @param {string} rarity
+ * @param {number} displayLevel - Current display level
+ * @returns {{cards: number, gold: number}|null} Null when the step is not
+ *   priced (unknown rarity, below the rarity's first level, or past
+ *   MAX_PRICED_LEVEL)
+ */
+function getUpgradeStepCost(rarity, displayLevel) {
+  const key = normalizeRarity(rarity)
+  if (!key || displayLevel >= MAX_PRICED_LEVEL) return null
+
+  const step = displayLevel - 1 - RARITY_LEVEL_OFFSET[key]
+  const cards = CARDS_PER_UPGRADE[key][step]
+  if (cards === undefined) return null
+
+  return { cards, gold: GOLD_BY_TARGET_LEVEL[displayLevel + 1] }
+}
+
+/**
+ * Cards and gold needed to bring one card from its current display level to
+ * `targetLevel`. A card the player does not own starts at its rarity's first
+ * level. Cards already held (`count`) go towards the first upgrades.
+ *
+ * @param {Object} card - Card with name and rarity
+ * @param {Object|null} playerCard - Matching card from currentPlayer.cards
+ * @param {number} targetLevel - Target display level
+ * @returns {Object} { name, rarity, owned, currentLevel, targetLevel,
+ *   cardsNeeded, cardsOwned, cardsMissing, gold, unpricedLevels }
+ */
+function computeCardUpgradeCost(card, playerCard, targetLevel) {
+  const rarity = normalizeRarity(playerCard?.rarity ?? card?.rarity)
+  const owned = Boolean(playerCard)
+  const currentLevel = owned
+    ? toDisplayLevel(playerCard.level, rarity)
+    : (RARITY_LEVEL_OFFSET[rarity] ?? 0) + 1
+  const cardsOwned = owned && Number.isFinite(playerCard.count) ? playerCard.count : 0
+
+  let cardsNeeded = 0
+  let gold = 0
+  // Steps past MAX_PRICED_LEVEL are counted but not priced
+  let unpricedLevels = 0
+
+  for (let level = currentLevel; level < targetLevel; level += 1) {
+    const step = getUpgradeStepCost(rarity, level)
+    if (step) {
+      cardsNeeded += step.cards
+      gold += step.gold
+    } else {
+      unpricedLevels += 1
+    }
+  }
+
+  return {
+    name: playerCard?.name ?? card?.name ?? null,
+    rarity,
+    owned,
+    currentLevel,
+    targetLevel: Math.max(currentLevel, targetLevel),
+    cardsNeeded,
+    cardsOwned,
+    cardsMissing: Math.max(0, cardsNeeded - cardsOwned),
+    gold,
+    unpricedLevels,
+  }
+}
+
+/**
+ * Cost of bringing every card of a deck to a target level.
+ *
+ * @param {Array} deckCards - Deck cards (name, rarity, and for 'match' the
+ *   deck owner's API level)
+ * @param {Array} playerCards - Player's cards (from currentPlayer.cards)
+ * @param {number|'match'} target - Display level for every card, or 'match'
+ *   to reach each card's level in the deck itself (e.g. a pro's deck)
+ * @returns {{cards: Array, gold: number, cardsMissing: number,
+ *   unownedCount: number, unpricedLevels: number}}
+ */
+function computeDeckUpgradeCost(deckCards, playerCards, target = 'match') {
+  const playerByName = new Map()
+  if (Array.isArray(playerCards)) {
+    playerCards.forEach((card) => {
+      if (card?.name && !playerByName.has(card.name)) playerByName.set(card.name, card)
+    })
+  }
+
+  const cards = (Array.isArray(deckCards) ? deckCards : [])
+    .filter((card) => card?.name)
+    .map((card) => {
+      const targetLevel =
+        target === 'match' ? toDisplayLevel(card.level, card.rarity) : Number(target)
+      return computeCardUpgradeCost(card, playerByName.get(card.name) ?? null, targetLevel)
+    })
+
+  return {
+    cards,
+    gold: cards.reduce((sum, card) => sum + card.gold, 0),
+    cardsMissing: cards.reduce((sum, card) => sum + card.cardsMissing, 0),
+    unownedCount: cards.filter((card) => !card.owned).length,
+    unpricedLevels: cards.reduce((sum, card) => sum + card.unpricedLevels, 0),
+  }
+}
+
+export {
+  RARITY_LEVEL_OFFSET,
+  MAX_PRICED_LEVEL,
+  toDisplayLevel,
+  getUpgradeStepCost,
+  computeCardUpgradeCost,
+  computeDeckUpgradeCost,
+}